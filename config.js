@@ -10,14 +10,122 @@ module.exports = {
   PORT: process.env.PORT || 3000,
   BASE_DOMAIN: process.env.BASE_DOMAIN || 'proxywarp.com',
   DEBUG: process.env.DEBUG === 'true' || false,
+  TRUST_PROXY: parseInt(process.env.TRUST_PROXY, 10) || 0, // Number of reverse proxies in front of the server
+  
+  // Management API key (the /api endpoints are disabled when unset)
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || null,
   
   // Token configuration
   TOKEN_LENGTH: 6,
+  RESERVED_TOKENS: ['www', 'api', 'admin', 'mail', 'static'], // Never usable as aliases
   DB_FILE: process.env.DB_FILE || path.join(__dirname, 'data', 'tokens.json'),
   
+  // Token storage configuration
+  STORAGE: {
+    BACKEND: process.env.TOKEN_STORAGE || 'json', // 'json', 'sqlite' or 'memory'
+    SQLITE_FILE: process.env.SQLITE_FILE || path.join(__dirname, 'data', 'tokens.db'),
+    
+    // Journal of the json backend, folded into the database file when it grows
+    // too long or gets old enough
+    JOURNAL_COMPACT_ENTRIES: 1000,
+    JOURNAL_COMPACT_INTERVAL_MS: 10 * 60 * 1000 // 10 minutes
+  },
+  
+  // Stateless signed tokens (disabled when no secret is set)
+  SIGNED_TOKENS: {
+    SECRET: process.env.SIGNED_TOKEN_SECRET || null,
+    PREFIX: 'sg',                              // Labels look like "sg-<payload>"
+    DEFAULT_TTL_MS: 7 * 24 * 60 * 60 * 1000,   // 7 days
+    
+    // Embed links, signed with the same secret (see lib/embedLinks.js)
+    EMBED_PARAM: 'pw_embed',                   // Query parameter carrying the embed grant
+    EMBED_COOKIE: 'pw_embed',                  // Cookie keeping the grant for the rest of the visit
+    MAX_PARENT_ORIGINS: 20                     // Parent origins allowed to frame one embed
+  },
+  
+  // Token usage analytics
+  ANALYTICS: {
+    MAX_PARENT_ORIGINS: 50     // Unique referring parent origins kept per token
+  },
+  
+  // Webhooks notified of token lifecycle events (disabled when no URL is set)
+  WEBHOOKS: {
+    URLS: (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+    SECRET: process.env.WEBHOOK_SECRET || null,
+    EVENTS: (process.env.WEBHOOK_EVENTS || 'created,expired,revoked,removed').split(',').map(event => event.trim()),
+    MAX_RETRIES: 3,            // Retries after the first failed delivery
+    RETRY_DELAY: 1000,         // Initial delay between retries, doubled each time
+    TIMEOUT: 5000              // 5 seconds per delivery attempt
+  },
+  
+  // Sites that may be proxied, as domain patterns such as "example.com",
+  // "*.example.com" or "/docs-[a-z]+\.example\.com/" (regular expression).
+  // Lists changed through the management API are saved to FILE and replace
+  // these on the next start
+  DOMAIN_POLICY: {
+    ALLOW: (process.env.DOMAIN_ALLOW || '').split(',').map(domain => domain.trim()).filter(Boolean), // All when empty
+    DENY: (process.env.DOMAIN_DENY || '').split(',').map(domain => domain.trim()).filter(Boolean),
+    FILE: process.env.DOMAIN_POLICY_FILE || path.join(__dirname, 'data', 'domain-policy.json')
+  },
+  
+  // Third-party origins referenced by proxied pages (CDNs, APIs, fonts...),
+  // proxied through tokens of their own when enabled. Lists hold domain
+  // patterns such as "cdn.example.com" or "*.example.com"
+  THIRD_PARTY: {
+    ENABLED: process.env.PROXY_THIRD_PARTY === 'true',
+    ALLOW: (process.env.THIRD_PARTY_ALLOW || '').split(',').map(domain => domain.trim()).filter(Boolean), // All when empty
+    DENY: (process.env.THIRD_PARTY_DENY || '').split(',').map(domain => domain.trim()).filter(Boolean)
+  },
+  
+  // Destinations the proxy refuses to connect to, checked on the addresses
+  // target hosts resolve to. Ranges are CIDR ("10.0.0.0/8", "fc00::/7")
+  SSRF: {
+    ENABLED: process.env.SSRF_PROTECTION !== 'false',
+    BLOCKED_RANGES: process.env.SSRF_BLOCKED_RANGES
+      ? process.env.SSRF_BLOCKED_RANGES.split(',').map(range => range.trim()).filter(Boolean)
+      : [
+        '0.0.0.0/8',          // "This" network
+        '10.0.0.0/8',         // Private networks (RFC 1918)
+        '172.16.0.0/12',
+        '192.168.0.0/16',
+        '100.64.0.0/10',      // Carrier-grade NAT (and some cloud metadata services)
+        '127.0.0.0/8',        // Loopback
+        '169.254.0.0/16',     // Link-local (and cloud metadata at 169.254.169.254)
+        '192.0.0.0/24',       // IETF protocol assignments
+        '198.18.0.0/15',      // Benchmarking
+        '224.0.0.0/4',        // Multicast
+        '240.0.0.0/4',        // Reserved and broadcast
+        '::/128',             // Unspecified
+        '::1/128',            // Loopback
+        'fc00::/7',           // Unique local addresses (and fd00:ec2::254 metadata)
+        'fe80::/10',          // Link-local
+        'ff00::/8'            // Multicast
+      ],
+    ALLOWED_RANGES: (process.env.SSRF_ALLOWED_RANGES || '').split(',').map(range => range.trim()).filter(Boolean) // Exceptions
+  },
+  
+  // Token bucket rate limits: each bucket allows bursts of CAPACITY requests
+  // and refills at PER_MINUTE requests per minute
+  RATE_LIMIT: {
+    ENABLED: process.env.RATE_LIMIT !== 'false',
+    STORE: process.env.RATE_LIMIT_STORE || 'memory',
+    SWEEP_INTERVAL_MS: 60 * 1000,              // Forget idle clients every minute
+    BUCKETS: {
+      MINT: { CAPACITY: 30, PER_MINUTE: 10 },            // Token conversions per client IP or API key
+      PROXY_CLIENT: { CAPACITY: 600, PER_MINUTE: 1200 },  // Proxied requests per client IP
+      PROXY_TOKEN: { CAPACITY: 3000, PER_MINUTE: 6000 },  // Proxied requests per token, all clients included
+      API: { CAPACITY: 120, PER_MINUTE: 120 }             // Management API requests per client IP and per API key
+    }
+  },
+  
+  // JSON file of rules stripping, setting, appending or rewriting the headers
+  // of proxied requests and responses (see lib/headerPolicy.js)
+  HEADER_RULES_FILE: process.env.HEADER_RULES_FILE || null,
+  
   // Token cleaning configuration
   CLEANUP_INTERVAL_MS: 24 * 60 * 60 * 1000, // 24 hours
   TOKEN_EXPIRATION_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+  ENDED_TOKEN_RETENTION_MS: 7 * 24 * 60 * 60 * 1000, // Keep expired/revoked tokens 7 days
   
   // Proxy configuration
   DEFAULT_PROTOCOL: 'https',
@@ -32,10 +140,17 @@ module.exports = {
     HTTPS_REQUEST: 8000        // 8 seconds for HTTPS requests
   },
   
-  // Cache configuration
+  // Shared HTTP cache of proxied static assets (opt-in), following the
+  // caching headers of the original sites
   CACHE: {
-    TTL: 30 * 1000,            // 30 seconds cache TTL
-    MAX_SIZE: 1000             // Maximum number of items in cache
+    ENABLED: process.env.HTTP_CACHE === 'true',
+    MAX_SIZE: 1000,                          // Maximum number of items in the memory tier
+    MEMORY_MAX_BYTES: 64 * 1024 * 1024,      // 64 MB of responses in memory
+    DISK_DIR: process.env.HTTP_CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+    DISK_MAX_BYTES: process.env.HTTP_CACHE_DISK_MAX_BYTES        // 1 GB on disk, 0 for a memory-only cache
+      ? parseInt(process.env.HTTP_CACHE_DISK_MAX_BYTES, 10)
+      : 1024 * 1024 * 1024,
+    MAX_ENTRY_BYTES: 8 * 1024 * 1024         // Larger responses are not cached
   },
   
   // Error handling options
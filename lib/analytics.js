@@ -0,0 +1,85 @@
+/**
+ * Analytics Module
+ * 
+ * Gathers per-token usage statistics from proxied responses.
+ */
+
+const { tokenStore } = require('./tokenStore');
+const config = require('../config');
+
+/**
+ * Gets the origin of the page embedding a proxied document
+ * 
+ * The Referer of a request for a proxied page points to its parent when the
+ * page is framed by another site. Requests made by proxied pages themselves
+ * carry one of our own subdomains and are ignored.
+ * 
+ * @param {object} req - Express request
+ * @returns {string|null} - Parent origin or null
+ */
+function getParentOrigin(req) {
+  const referer = req.headers.referer;
+  if (!referer) {
+    return null;
+  }
+  
+  try {
+    const refererUrl = new URL(referer);
+    const hostname = refererUrl.hostname;
+    
+    if (hostname === config.BASE_DOMAIN || hostname.endsWith(`.${config.BASE_DOMAIN}`)) {
+      return null;
+    }
+    return refererUrl.origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Tracks a proxied response and records its usage once it is sent
+ * 
+ * Counts the bytes actually written to the client, so rewritten pages are
+ * measured after rewriting.
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} token - Token used for the request
+ */
+function trackResponse(req, res, token) {
+  let bytes = 0;
+  
+  const countChunk = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk)
+        ? chunk.length
+        : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  
+  const originalWrite = res.write;
+  const originalEnd = res.end;
+  
+  res.write = function(chunk, encoding, ...rest) {
+    countChunk(chunk, encoding);
+    return originalWrite.call(this, chunk, encoding, ...rest);
+  };
+  
+  res.end = function(chunk, encoding, ...rest) {
+    countChunk(chunk, encoding);
+    return originalEnd.call(this, chunk, encoding, ...rest);
+  };
+  
+  res.on('finish', () => {
+    tokenStore.recordUsage(token, {
+      statusCode: res.statusCode,
+      bytes,
+      parentOrigin: getParentOrigin(req)
+    });
+  });
+}
+
+module.exports = {
+  trackResponse,
+  getParentOrigin
+};
@@ -0,0 +1,80 @@
+/**
+ * Authentication Module
+ * 
+ * Protects the management API with the configured API key.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Extracts the API key sent with a request
+ * 
+ * Accepts either an `Authorization: Bearer <key>` or an `X-API-Key` header.
+ * 
+ * @param {object} req - Express request
+ * @returns {string|null} - API key or null if none was sent
+ */
+function getRequestApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Identifies the API key of a request without exposing it, e.g. to keep
+ * per-key state
+ * 
+ * @param {object} req - Express request
+ * @returns {string|null} - Short hash of the API key or null if none was sent
+ */
+function getApiKeyId(req) {
+  const apiKey = getRequestApiKey(req);
+  return apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16) : null;
+}
+
+/**
+ * Compares two secrets in constant time
+ * 
+ * @param {string} provided - Secret sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} - True if both secrets match
+ */
+function safeCompare(provided, expected) {
+  const providedBuffer = Buffer.from(String(provided));
+  const expectedBuffer = Buffer.from(String(expected));
+  
+  if (providedBuffer.length !== expectedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Middleware rejecting requests without a valid API key
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function requireApiKey(req, res, next) {
+  if (!config.ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'The management API is disabled (ADMIN_API_KEY is not set)' });
+  }
+  
+  const apiKey = getRequestApiKey(req);
+  if (!apiKey || !safeCompare(apiKey, config.ADMIN_API_KEY)) {
+    return res.status(401).json({ error: 'Missing or invalid API key' });
+  }
+  
+  next();
+}
+
+module.exports = {
+  requireApiKey,
+  getRequestApiKey,
+  getApiKeyId,
+  safeCompare
+};
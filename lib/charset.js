@@ -0,0 +1,212 @@
+/**
+ * Charset Module
+ * 
+ * Detects the character encoding of HTML pages and stylesheets so they can be
+ * decoded for rewriting, and updates their charset declarations once
+ * re-encoded as UTF-8.
+ */
+
+/**
+ * Number of bytes searched for a <meta> or @charset declaration
+ */
+const META_PRESCAN_SIZE = 1024;
+
+/**
+ * Byte order marks, which take precedence over any declaration
+ */
+const BOMS = [
+  { bytes: [0xEF, 0xBB, 0xBF], charset: 'utf-8' },
+  { bytes: [0xFE, 0xFF], charset: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], charset: 'utf-16le' }
+];
+
+/**
+ * Gets the charset parameter of a content type
+ * 
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} - Charset label or null
+ */
+function getHeaderCharset(contentType) {
+  const match = /;\s*charset\s*=\s*["']?([^"';\s]+)/i.exec(contentType || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Sets the charset parameter of a content type
+ * 
+ * @param {string} contentType - Content-Type header
+ * @param {string} charset - Charset to declare
+ * @returns {string} - Updated content type
+ */
+function setHeaderCharset(contentType, charset) {
+  const mediaType = (contentType || 'text/html').split(';')[0].trim();
+  const params = (contentType || '').split(';').slice(1)
+    .map(param => param.trim())
+    .filter(param => param && !/^charset\s*=/i.test(param));
+  
+  return [mediaType, ...params, `charset=${charset}`].join('; ');
+}
+
+/**
+ * Gets the charset announced by a byte order mark
+ * 
+ * @param {Buffer} buffer - Start of the content
+ * @returns {string|null} - Charset or null without a BOM
+ */
+function getBomCharset(buffer) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  return bom ? bom.charset : null;
+}
+
+/**
+ * Looks for a <meta charset> or <meta http-equiv="Content-Type"> declaration
+ * at the start of a page
+ * 
+ * @param {Buffer} buffer - Start of the content
+ * @returns {string|null} - Charset label or null
+ */
+function getMetaCharset(buffer) {
+  // Declarations are ASCII, which latin1 decodes whatever the real charset
+  const head = buffer.subarray(0, META_PRESCAN_SIZE).toString('latin1');
+  const match = /<meta\s[^>]*?charset\s*=\s*["']?\s*([\w.:()-]+)/i.exec(head);
+  if (!match) {
+    return null;
+  }
+  
+  // A page that could be read this far is not UTF-16, whatever it declares
+  const charset = match[1].toLowerCase();
+  return charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+ * Looks for an @charset rule at the start of a stylesheet
+ * 
+ * @param {Buffer} buffer - Start of the content
+ * @returns {string|null} - Charset label or null
+ */
+function getCssCharset(buffer) {
+  // The rule is only honoured when it is the very first bytes, spelled
+  // exactly like this
+  const head = buffer.subarray(0, META_PRESCAN_SIZE).toString('latin1');
+  const match = /^@charset "([^"]+)";/.exec(head);
+  if (!match) {
+    return null;
+  }
+  
+  const charset = match[1].toLowerCase();
+  return charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+/**
+ * Finders of the charset declared in the content, by content format
+ */
+const DECLARATION_FINDERS = {
+  html: getMetaCharset,
+  css: getCssCharset
+};
+
+/**
+ * Detects the charset of a page or stylesheet, from its BOM, the
+ * Content-Type header or the declaration in the content, in that order
+ * 
+ * @param {Buffer} buffer - Start of the content
+ * @param {string} headerCharset - Charset of the Content-Type header, if any
+ * @param {string} format - Content format ('html' or 'css')
+ * @returns {string} - Charset supported by TextDecoder (UTF-8 by default)
+ */
+function detectCharset(buffer, headerCharset, format = 'html') {
+  const candidates = [getBomCharset(buffer), headerCharset, DECLARATION_FINDERS[format](buffer)];
+  
+  for (const charset of candidates) {
+    if (charset && isSupportedCharset(charset)) {
+      return charset;
+    }
+  }
+  
+  return 'utf-8';
+}
+
+/**
+ * Creates a function decoding content as it is received, detecting its
+ * charset from the first bytes
+ * 
+ * @param {string} headerCharset - Charset of the Content-Type header, if any
+ * @param {string} format - Content format ('html' or 'css')
+ * @returns {Function} - Function taking a chunk of bytes and whether it is
+ *   the last one, and returning the text decoded so far
+ */
+function createCharsetDecoder(headerCharset, format = 'html') {
+  let decoder = null;
+  
+  // Bytes held back until the charset is known: enough for a BOM when the
+  // header declares a charset, otherwise enough to find a declaration
+  const sniffSize = headerCharset ? 3 : META_PRESCAN_SIZE;
+  let sniffed = [];
+  let sniffedLength = 0;
+  
+  return (chunk, final) => {
+    if (!decoder) {
+      sniffed.push(chunk);
+      sniffedLength += chunk.length;
+      if (sniffedLength < sniffSize && !final) {
+        return '';
+      }
+      
+      chunk = Buffer.concat(sniffed);
+      sniffed = null;
+      decoder = new TextDecoder(detectCharset(chunk, headerCharset, format));
+    }
+    
+    // Always decode in streaming mode and flush separately: Node's one-shot
+    // windows-1252 decoding treats 0x80-0x9F as latin1
+    const text = decoder.decode(chunk, { stream: true });
+    return final ? text + decoder.decode() : text;
+  };
+}
+
+/**
+ * Checks whether TextDecoder can decode a charset
+ * 
+ * @param {string} charset - Charset label
+ * @returns {boolean} - True if supported
+ */
+function isSupportedCharset(charset) {
+  try {
+    new TextDecoder(charset);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Rewrites the <meta> charset declarations of a page to UTF-8
+ * 
+ * @param {string} html - HTML of the page head
+ * @returns {string} - HTML declaring UTF-8
+ */
+function declareUtf8(html) {
+  return html.replace(
+    /(<meta\s[^>]*?charset\s*=\s*["']?\s*)[\w.:()-]+/gi,
+    (match, declaration) => `${declaration}utf-8`
+  );
+}
+
+/**
+ * Rewrites the @charset rule of a stylesheet to UTF-8
+ * 
+ * @param {string} css - Start of the stylesheet
+ * @returns {string} - CSS declaring UTF-8
+ */
+function declareCssUtf8(css) {
+  return css.replace(/^@charset "[^"]+";/, '@charset "utf-8";');
+}
+
+module.exports = {
+  getHeaderCharset,
+  setHeaderCharset,
+  detectCharset,
+  createCharsetDecoder,
+  declareUtf8,
+  declareCssUtf8
+};
@@ -5,23 +5,47 @@
  * client-side navigation and dynamic link creation.
  */
 
+/**
+ * Serializes a value as a JavaScript literal that is safe inside an inline
+ * script: "<" is escaped so that values cannot close the script element
+ * 
+ * @param {*} value - JSON-serializable value
+ * @returns {string} - JavaScript literal
+ */
+function toScriptLiteral(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
 /**
  * Generates the client-side interception script
  * 
  * @param {string} token - The token for this proxy session
  * @param {string} baseDomain - The base domain of the proxy
- * @param {string} targetDomain - The target domain being proxied
+ * @param {string} targetHost - The target host (domain and non-default port) being proxied
+ * @param {Object} options - Additional target details
+ * @param {string} options.targetOrigin - Origin of the target site
+ * @param {string} options.pathPrefix - Path prefix the token is restricted to, if any
+ * @param {boolean} options.thirdParty - Whether third-party origins may be
+ *   proxied (the server decides which ones, see buildThirdPartyUrl)
  * @returns {string} - JavaScript code to be injected
  */
-function generateClientScript(token, baseDomain, targetDomain) {
+function generateClientScript(token, baseDomain, targetHost, options = {}) {
+    const targetHostLiteral = toScriptLiteral(targetHost);
+    const targetOrigin = toScriptLiteral(options.targetOrigin || 'https://' + targetHost);
+    const pathPrefix = toScriptLiteral(options.pathPrefix || '');
+    const thirdParty = Boolean(options.thirdParty);
+
     return `
   <script data-proxywarp-injected="true">
   (function() {
     // Configuration
     const PROXY_TOKEN = '${token}';
     const PROXY_BASE_DOMAIN = '${baseDomain}';
-    const TARGET_DOMAIN = '${targetDomain}';
+    const TARGET_HOST = ${targetHostLiteral};
+    const TARGET_ORIGIN = ${targetOrigin};
+    const PATH_PREFIX = ${pathPrefix};
     const PROXY_URL_PREFIX = 'https://' + PROXY_TOKEN + '.' + PROXY_BASE_DOMAIN;
+    const THIRD_PARTY = ${thirdParty};
     
     // Debug mode - set to true for console logs
     const DEBUG = false;
@@ -36,7 +60,20 @@ function generateClientScript(token, baseDomain, targetDomain) {
     }
     
     /**
-     * Determines if a URL is external (not on the target domain)
+     * Builds the URL through which a third-party URL is proxied: the proxy's
+     * home page checks whether its host may be proxied and redirects it to a
+     * token of its own (signed if this page's token is signed), keeping the
+     * method and body of the request
+     */
+    function buildThirdPartyUrl(urlObj) {
+      const url = urlObj.href.slice(0, urlObj.href.length - urlObj.hash.length);
+      return 'https://' + PROXY_BASE_DOMAIN + '/?url=' + encodeURIComponent(url) +
+        '&from=' + encodeURIComponent(PROXY_TOKEN) + urlObj.hash;
+    }
+    
+    /**
+     * Determines if a URL is external (not on the target host, nor on a
+     * third-party host when those may be proxied)
      */
     function isExternalUrl(url) {
       try {
@@ -46,13 +83,35 @@ function generateClientScript(token, baseDomain, targetDomain) {
         }
         
         const urlObj = new URL(url);
-        return urlObj.hostname !== TARGET_DOMAIN && 
-               urlObj.hostname !== 'www.' + TARGET_DOMAIN;
+        return urlObj.host !== TARGET_HOST && 
+               urlObj.host !== 'www.' + TARGET_HOST &&
+               !THIRD_PARTY;
       } catch (e) {
         return false;
       }
     }
     
+    /**
+     * Determines if a path is within the token's path scope, on whole path
+     * segments (see isPathInScope in lib/utils.js)
+     */
+    function isPathInScope(pathname) {
+      if (!PATH_PREFIX) {
+        return true;
+      }
+      const base = PATH_PREFIX.endsWith('/') ? PATH_PREFIX.slice(0, -1) : PATH_PREFIX;
+      return pathname === base || pathname.startsWith(base + '/');
+    }
+    
+    /**
+     * Builds the proxied URL for a target URL, or the original URL when it
+     * is outside the token's path scope
+     */
+    function buildTargetUrl(urlObj) {
+      const path = urlObj.pathname + urlObj.search + urlObj.hash;
+      return isPathInScope(urlObj.pathname) ? PROXY_URL_PREFIX + path : TARGET_ORIGIN + path;
+    }
+    
     /**
      * Converts a URL to its proxied equivalent
      */
@@ -63,18 +122,28 @@ function generateClientScript(token, baseDomain, targetDomain) {
           return url;
         }
         
+        // Protocol-relative URL - resolve against the target's scheme
+        if (url.startsWith('//')) {
+          const absoluteUrl = new URL(TARGET_ORIGIN).protocol + url;
+          const proxiedUrl = getProxiedUrl(absoluteUrl);
+          return proxiedUrl === absoluteUrl ? url : proxiedUrl;
+        }
+        
         // Handle different URL formats
         if (url.startsWith('http://') || url.startsWith('https://')) {
-          // Absolute URL - only proxy if it's for the target domain
+          // Absolute URL - only proxy if it's for the target host
           const urlObj = new URL(url);
-          if (urlObj.hostname === TARGET_DOMAIN || 
-              urlObj.hostname === 'www.' + TARGET_DOMAIN) {
-            return PROXY_URL_PREFIX + urlObj.pathname + urlObj.search + urlObj.hash;
+          if (urlObj.host === TARGET_HOST || 
+              urlObj.host === 'www.' + TARGET_HOST) {
+            return buildTargetUrl(urlObj);
+          }
+          if (THIRD_PARTY) {
+            return buildThirdPartyUrl(urlObj);
           }
           return url; // External URL - don't proxy
         } else if (url.startsWith('/')) {
           // Absolute path
-          return PROXY_URL_PREFIX + url;
+          return buildTargetUrl(new URL(url, TARGET_ORIGIN));
         } else if (url.startsWith('#')) {
           // Hash only - keep as is
           return url;
@@ -84,6 +153,10 @@ function generateClientScript(token, baseDomain, targetDomain) {
         } else if (url.startsWith('mailto:') || url.startsWith('tel:')) {
           // Other protocols - keep as is
           return url;
+        } else if (PATH_PREFIX) {
+          // Relative path on a scoped token - resolve against the page's real location
+          const pagePath = window.location.pathname + window.location.search;
+          return buildTargetUrl(new URL(url, TARGET_ORIGIN + pagePath));
         } else {
           // Relative path - keep as is (handled by base tag)
           return url;
@@ -308,6 +381,97 @@ function generateClientScript(token, baseDomain, targetDomain) {
       debugLog('Fetch and XHR interceptors set up');
     }
     
+    /**
+     * Converts a WebSocket URL on the target host to its proxied equivalent
+     */
+    function getProxiedWebSocketUrl(url) {
+      try {
+        // Relative URLs already resolve to the proxy through the base tag
+        const urlObj = new URL(String(url), document.baseURI);
+        if ((urlObj.host !== TARGET_HOST && urlObj.host !== 'www.' + TARGET_HOST) ||
+            !isPathInScope(urlObj.pathname)) {
+          return url;
+        }
+        
+        return PROXY_URL_PREFIX.replace(/^https:/, 'wss:') + urlObj.pathname + urlObj.search;
+      } catch (e) {
+        debugLog('Error converting WebSocket URL:', url, e);
+        return url;
+      }
+    }
+    
+    /**
+     * Intercept WebSocket connections to the target host
+     */
+    function setupWebSocketInterceptor() {
+      const OriginalWebSocket = window.WebSocket;
+      if (!OriginalWebSocket) return;
+      
+      window.WebSocket = class WebSocket extends OriginalWebSocket {
+        constructor(url, protocols) {
+          const proxiedUrl = getProxiedWebSocketUrl(url);
+          if (proxiedUrl !== url) {
+            debugLog('WebSocket intercepted:', url, '->', proxiedUrl);
+          }
+          super(proxiedUrl, protocols);
+        }
+      };
+      
+      debugLog('WebSocket interceptor set up');
+    }
+    
+    /**
+     * Rewrites a cookie set by the page so that it is bound to the proxy
+     * subdomain, like the cookies set by the server (see lib/cookies.js).
+     * Returns null for cookies the target could not set.
+     */
+    function rewriteCookie(cookie) {
+      const targetHostname = new URL(TARGET_ORIGIN).hostname;
+      const [nameValue, ...attributes] = String(cookie).split(';');
+      const kept = [];
+      
+      for (const attribute of attributes) {
+        const [name, ...value] = attribute.split('=');
+        const attributeName = name.trim().toLowerCase();
+        const domain = value.join('=').trim().replace(/^\./, '').toLowerCase();
+        
+        if (attributeName === 'domain' && domain &&
+            targetHostname !== domain && !targetHostname.endsWith('.' + domain)) {
+          return null;
+        }
+        
+        if (attributeName && attributeName !== 'domain' && attributeName !== 'secure' && attributeName !== 'samesite') {
+          kept.push(attribute.trim());
+        }
+      }
+      
+      return [nameValue.trim(), ...kept, 'SameSite=None', 'Secure'].join('; ');
+    }
+    
+    /**
+     * Shim document.cookie so that cookies set by scripts stick
+     */
+    function setupCookieShim() {
+      const descriptor = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+      if (!descriptor || !descriptor.set) return;
+      
+      Object.defineProperty(document, 'cookie', {
+        get: function() {
+          return descriptor.get.call(this);
+        },
+        set: function(cookie) {
+          const rewrittenCookie = rewriteCookie(cookie);
+          debugLog('document.cookie intercepted:', cookie, '->', rewrittenCookie);
+          if (rewrittenCookie !== null) {
+            descriptor.set.call(this, rewrittenCookie);
+          }
+        },
+        configurable: true
+      });
+      
+      debugLog('Cookie shim set up');
+    }
+    
     // Initialize all interceptors
     function init() {
       debugLog('Initializing ProxyWarp client-side interceptors');
@@ -319,6 +483,11 @@ function generateClientScript(token, baseDomain, targetDomain) {
       debugLog('All interceptors initialized');
     }
     
+    // WebSockets and cookies do not depend on the DOM, so intercept them
+    // right away in case the page uses them before it is ready
+    setupWebSocketInterceptor();
+    setupCookieShim();
+    
     // Run initialization when the DOM is ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,120 @@
+/**
+ * Content Encoding Module
+ * 
+ * Decodes compressed upstream responses so they can be rewritten, and
+ * compresses the rewritten content again for clients that accept it.
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Decompression streams for the supported content encodings
+ */
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+/**
+ * Compression streams, in order of preference when the client accepts
+ * several encodings. Output is flushed after every chunk so that compressed
+ * pages still stream, and brotli uses a fast quality level for the same
+ * reason.
+ */
+const ENCODERS = {
+  br: () => zlib.createBrotliCompress({
+    flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+    params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 }
+  }),
+  gzip: () => zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH }),
+  deflate: () => zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH })
+};
+
+/**
+ * Gets the content encoding of a response
+ * 
+ * @param {object} headers - Response headers
+ * @returns {string} - Lowercase encoding, empty for uncompressed content
+ */
+function getContentEncoding(headers) {
+  const encoding = (headers['content-encoding'] || '').trim().toLowerCase();
+  return encoding === 'identity' ? '' : encoding;
+}
+
+/**
+ * Checks whether content in an encoding can be decoded
+ * 
+ * @param {string} encoding - Content encoding (see getContentEncoding)
+ * @returns {boolean} - True if the content is uncompressed or decodable
+ */
+function canDecode(encoding) {
+  return !encoding || encoding in DECODERS;
+}
+
+/**
+ * Creates a stream decompressing content
+ * 
+ * @param {string} encoding - Content encoding (see getContentEncoding)
+ * @returns {Transform|null} - Decompression stream, null for uncompressed content
+ */
+function createDecoder(encoding) {
+  return encoding ? DECODERS[encoding]() : null;
+}
+
+/**
+ * Picks the preferred encoding accepted by the client
+ * 
+ * @param {string} acceptEncoding - Accept-Encoding request header
+ * @returns {string|null} - Encoding to use, null to send uncompressed content
+ */
+function negotiateEncoding(acceptEncoding) {
+  const accepted = new Set();
+  
+  for (const part of (acceptEncoding || '').toLowerCase().split(',')) {
+    const [name, ...params] = part.trim().split(';');
+    const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    if (name && !(quality && parseFloat(quality.slice(2)) === 0)) {
+      accepted.add(name.trim());
+    }
+  }
+  
+  return Object.keys(ENCODERS).find(encoding => accepted.has(encoding) || accepted.has('*')) || null;
+}
+
+/**
+ * Creates a stream compressing content
+ * 
+ * @param {string} encoding - Encoding returned by negotiateEncoding()
+ * @returns {Transform} - Compression stream
+ */
+function createEncoder(encoding) {
+  return ENCODERS[encoding]();
+}
+
+/**
+ * Adds a field to the Vary header of a response
+ * 
+ * @param {object} res - Client response
+ * @param {string} field - Request header the response depends on
+ */
+function appendVary(res, field) {
+  const vary = String(res.getHeader('vary') || '');
+  const fields = vary.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  
+  if (fields.includes('*') || fields.includes(field.toLowerCase())) {
+    return;
+  }
+  
+  res.setHeader('vary', vary ? `${vary}, ${field}` : field);
+}
+
+module.exports = {
+  getContentEncoding,
+  canDecode,
+  createDecoder,
+  negotiateEncoding,
+  createEncoder,
+  appendVary
+};
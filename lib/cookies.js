@@ -0,0 +1,90 @@
+/**
+ * Cookies Module
+ * 
+ * Rewrites the cookies set by proxied sites so that browsers keep them for
+ * the token subdomain, including when the proxied page is framed by another
+ * site.
+ */
+
+/**
+ * Attributes dropped from cookies and replaced by the proxy's own
+ */
+const REPLACED_ATTRIBUTES = ['domain', 'secure', 'samesite'];
+
+/**
+ * Attributes added to every cookie: framed pages only get their cookies
+ * back when they are sent cross-site, which requires Secure
+ */
+const ADDED_ATTRIBUTES = ['SameSite=None', 'Secure'];
+
+/**
+ * Checks whether a host matches the Domain attribute of a cookie
+ * 
+ * @param {string} host - Target host name
+ * @param {string} cookieDomain - Domain attribute value
+ * @returns {boolean} - True if the target could set the cookie
+ */
+function domainMatches(host, cookieDomain) {
+  const domain = cookieDomain.trim().replace(/^\./, '').toLowerCase();
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Rewrites a Set-Cookie header value for the token subdomain
+ * 
+ * The Domain attribute is removed, so the cookie is bound to the token
+ * subdomain only. Path is kept, as paths are the same on the token subdomain
+ * as on the target.
+ * 
+ * @param {string} setCookie - Set-Cookie header value
+ * @param {string} targetDomain - Target host name
+ * @returns {string|null} - Rewritten value, or null if the target could not
+ *   have set the cookie (its Domain does not match)
+ */
+function rewriteSetCookie(setCookie, targetDomain) {
+  const [nameValue, ...attributes] = setCookie.split(';');
+  const kept = [];
+  
+  for (const attribute of attributes) {
+    const [name, ...value] = attribute.split('=');
+    const attributeName = name.trim().toLowerCase();
+    
+    // Browsers ignore empty Domain attributes
+    if (attributeName === 'domain' && value.join('=').trim() && !domainMatches(targetDomain, value.join('='))) {
+      return null;
+    }
+    
+    if (attributeName && !REPLACED_ATTRIBUTES.includes(attributeName)) {
+      kept.push(attribute.trim());
+    }
+  }
+  
+  return [nameValue.trim(), ...kept, ...ADDED_ATTRIBUTES].join('; ');
+}
+
+/**
+ * Rewrites the Set-Cookie headers of an upstream response in place
+ * 
+ * @param {object} headers - Upstream response headers
+ * @param {object} targetInfo - Target domain information
+ */
+function rewriteSetCookieHeaders(headers, targetInfo) {
+  if (!headers['set-cookie']) {
+    return;
+  }
+  
+  const cookies = [].concat(headers['set-cookie'])
+    .map(setCookie => rewriteSetCookie(setCookie, targetInfo.domain))
+    .filter(Boolean);
+  
+  if (cookies.length > 0) {
+    headers['set-cookie'] = cookies;
+  } else {
+    delete headers['set-cookie'];
+  }
+}
+
+module.exports = {
+  rewriteSetCookie,
+  rewriteSetCookieHeaders
+};
@@ -0,0 +1,108 @@
+/**
+ * CSS Rewriter Module
+ * 
+ * Rewrites the URLs referenced by stylesheets, in url() values and @import
+ * rules, so that fonts, images and imported stylesheets are loaded through
+ * the proxy too.
+ */
+
+const { Transform } = require('stream');
+const { createCharsetDecoder, declareCssUtf8 } = require('./charset');
+
+/**
+ * url() values, double-quoted, single-quoted or unquoted
+ */
+const URL_PATTERN = /\burl\(\s*(?:"([^"]*)"|'([^']*)'|([^"'()\s]*))\s*\)/gi;
+
+/**
+ * @import rules with a string (rules with url() are handled as url() values)
+ */
+const IMPORT_PATTERN = /(@import\s+)(["'])([^"']*)\2/gi;
+
+/**
+ * Longest stylesheet text held back while waiting for the end of a rule
+ */
+const MAX_PENDING_SIZE = 64 * 1024;
+
+/**
+ * Rewrites the URLs referenced by a piece of CSS
+ * 
+ * @param {string} css - CSS made of complete rules or declarations
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten CSS
+ */
+function rewriteCss(css, rewriteUrl) {
+  css = css.replace(URL_PATTERN, (match, doubleQuoted, singleQuoted, unquoted) => {
+    const url = doubleQuoted ?? singleQuoted ?? unquoted;
+    const quote = doubleQuoted !== undefined ? '"' : singleQuoted !== undefined ? "'" : '';
+    const rewritten = rewriteUrl(url);
+    return rewritten === url ? match : `url(${quote}${rewritten}${quote})`;
+  });
+  
+  return css.replace(IMPORT_PATTERN, (match, rule, quote, url) => {
+    const rewritten = rewriteUrl(url);
+    return rewritten === url ? match : `${rule}${quote}${rewritten}${quote}`;
+  });
+}
+
+/**
+ * Creates a stream rewriting a stylesheet as it flows through
+ * 
+ * Like pages, stylesheets are decoded from their own charset and always sent
+ * as UTF-8. Chunks are cut after the last complete rule, so that url()
+ * values are always rewritten whole.
+ * 
+ * @param {object} options - Rewriting options
+ * @param {Function} options.rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @param {string} options.charset - Charset of the Content-Type header, if any
+ * @returns {Transform} - CSS rewriting stream
+ */
+function createCssRewriteStream({ rewriteUrl, charset }) {
+  const decode = createCharsetDecoder(charset, 'css');
+  
+  // Text received but not processed yet (an incomplete rule)
+  let pending = '';
+  let started = false;
+  
+  // Sends processed CSS, declaring UTF-8 in its @charset rule
+  const emit = (stream, css) => {
+    if (!started && css) {
+      css = declareCssUtf8(css);
+      started = true;
+    }
+    
+    if (css) {
+      stream.push(css, 'utf8');
+    }
+  };
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending += decode(chunk, false);
+      
+      // Keep the text after the last closing brace for the next chunk,
+      // unless there is too much of it
+      let cut = pending.lastIndexOf('}') + 1;
+      if (cut === 0 && pending.length >= MAX_PENDING_SIZE) {
+        cut = pending.length;
+      }
+      
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      
+      emit(this, rewriteCss(ready, rewriteUrl));
+      callback();
+    },
+    
+    flush(callback) {
+      pending += decode(Buffer.alloc(0), true);
+      emit(this, rewriteCss(pending, rewriteUrl));
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  rewriteCss,
+  createCssRewriteStream
+};
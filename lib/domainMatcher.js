@@ -0,0 +1,143 @@
+/**
+ * Domain Matcher Module
+ * 
+ * Matches host names against domain patterns of allow and deny lists:
+ * - `example.com` matches that host only
+ * - `*.example.com` matches its subdomains (not example.com itself)
+ * - `*` matches any host
+ * - `/regex/` matches hosts the regular expression matches in full
+ *   (case-insensitively)
+ */
+
+/**
+ * Compiled regular expressions of regex patterns
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Checks whether a domain pattern is a regular expression
+ * 
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean} - True for patterns like "/^docs\d+\.example\.com$/"
+ */
+function isRegexPattern(pattern) {
+  return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
+
+/**
+ * Compiles a regex pattern, anchored so that it matches whole host names
+ * 
+ * @param {string} pattern - Regex pattern, with its slashes
+ * @returns {RegExp} - Compiled expression
+ * @throws {SyntaxError} - If the expression is invalid
+ */
+function compilePattern(pattern) {
+  if (!compiledPatterns.has(pattern)) {
+    compiledPatterns.set(pattern, new RegExp(`^(?:${pattern.slice(1, -1)})$`, 'i'));
+  }
+  return compiledPatterns.get(pattern);
+}
+
+/**
+ * Normalizes a domain pattern
+ * 
+ * @param {string} pattern - Domain pattern
+ * @returns {string} - Lowercase pattern without trailing dot
+ */
+function normalizeDomainPattern(pattern) {
+  const normalized = String(pattern || '').trim();
+  return isRegexPattern(normalized) ? normalized : normalized.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Checks that a domain pattern is well-formed
+ * 
+ * @param {string} pattern - Domain pattern
+ * @returns {string|null} - Error message, or null if the pattern is valid
+ */
+function validateDomainPattern(pattern) {
+  if (typeof pattern !== 'string' || !normalizeDomainPattern(pattern)) {
+    return 'Domain patterns must be non-empty strings';
+  }
+  
+  if (isRegexPattern(pattern.trim())) {
+    try {
+      compilePattern(pattern.trim());
+    } catch (error) {
+      return `Invalid regular expression ${pattern}: ${error.message}`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether a host name matches a domain pattern
+ * 
+ * @param {string} hostname - Host name (without port)
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean} - True if the host matches
+ */
+function matchesDomainPattern(hostname, pattern) {
+  const host = normalizeDomainPattern(hostname);
+  const normalized = normalizeDomainPattern(pattern);
+  
+  if (!host || !normalized) {
+    return false;
+  }
+  
+  if (normalized === '*') {
+    return true;
+  }
+  
+  if (isRegexPattern(normalized)) {
+    try {
+      return compilePattern(normalized).test(host);
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  if (normalized.startsWith('*.')) {
+    return host.endsWith(normalized.slice(1));
+  }
+  
+  return host === normalized;
+}
+
+/**
+ * Checks whether a host name matches any of a list of domain patterns
+ * 
+ * @param {string} hostname - Host name (without port)
+ * @param {string[]} patterns - Domain patterns
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesAnyDomain(hostname, patterns) {
+  return patterns.some(pattern => matchesDomainPattern(hostname, pattern));
+}
+
+/**
+ * Checks a host name against an allow list and a deny list
+ * 
+ * The deny list wins, and an empty allow list allows any host.
+ * 
+ * @param {string} hostname - Host name (without port)
+ * @param {object} lists - Domain patterns
+ * @param {string[]} lists.allow - Allowed hosts (all when empty)
+ * @param {string[]} lists.deny - Denied hosts
+ * @returns {boolean} - True if the host is allowed
+ */
+function isDomainAllowed(hostname, { allow = [], deny = [] }) {
+  if (matchesAnyDomain(hostname, deny)) {
+    return false;
+  }
+  return allow.length === 0 || matchesAnyDomain(hostname, allow);
+}
+
+module.exports = {
+  normalizeDomainPattern,
+  validateDomainPattern,
+  matchesDomainPattern,
+  matchesAnyDomain,
+  isDomainAllowed
+};
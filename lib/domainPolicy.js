@@ -0,0 +1,193 @@
+/**
+ * Domain Policy Module
+ * 
+ * Restricts the sites that can be proxied with an allow list and a deny list
+ * of domain patterns (see lib/domainMatcher.js). The lists start from the
+ * configuration and can be changed at runtime through the management API,
+ * in which case they are saved to config.DOMAIN_POLICY.FILE and take
+ * precedence over the configuration on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeDomainPattern, validateDomainPattern, isDomainAllowed } = require('./domainMatcher');
+const config = require('../config');
+
+/**
+ * Names of the lists
+ */
+const LISTS = ['allow', 'deny'];
+
+/**
+ * Checks and normalizes a list of domain patterns
+ * 
+ * @param {string[]} patterns - Domain patterns
+ * @returns {string[]} - Normalized patterns, without duplicates
+ * @throws {Error} - With code INVALID_PATTERN if a pattern is invalid
+ */
+function normalizePatterns(patterns) {
+  if (!Array.isArray(patterns)) {
+    const error = new Error('Domain lists must be arrays of patterns');
+    error.code = 'INVALID_PATTERN';
+    throw error;
+  }
+  
+  for (const pattern of patterns) {
+    const validationError = validateDomainPattern(pattern);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.code = 'INVALID_PATTERN';
+      throw error;
+    }
+  }
+  
+  return [...new Set(patterns.map(normalizeDomainPattern))];
+}
+
+/**
+ * Checks the name of a list
+ * 
+ * @param {string} list - List name
+ * @throws {Error} - With code INVALID_LIST if it is not allow or deny
+ */
+function checkListName(list) {
+  if (!LISTS.includes(list)) {
+    const error = new Error(`Unknown domain list "${list}", use ${LISTS.join(' or ')}`);
+    error.code = 'INVALID_LIST';
+    throw error;
+  }
+}
+
+/**
+ * DomainPolicy class deciding which sites may be proxied
+ */
+class DomainPolicy {
+  constructor() {
+    this.allow = normalizePatterns(config.DOMAIN_POLICY.ALLOW);
+    this.deny = normalizePatterns(config.DOMAIN_POLICY.DENY);
+    this.file = config.DOMAIN_POLICY.FILE;
+  }
+  
+  /**
+   * Load the lists saved by the management API, if any
+   */
+  initialize() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.allow = normalizePatterns(saved.allow || []);
+      this.deny = normalizePatterns(saved.deny || []);
+      console.log(`Loaded domain policy from ${this.file} (${this.allow.length} allowed, ${this.deny.length} denied patterns)`);
+    } catch (error) {
+      console.error(`Error loading domain policy from ${this.file}, using the configured lists:`, error.message);
+    }
+  }
+  
+  /**
+   * Check whether a site may be proxied
+   * 
+   * @param {string} hostname - Target host name
+   * @returns {boolean} - True if allowed
+   */
+  isAllowed(hostname) {
+    return isDomainAllowed(hostname, { allow: this.allow, deny: this.deny });
+  }
+  
+  /**
+   * Throw if a site may not be proxied
+   * 
+   * @param {string} hostname - Target host name
+   * @throws {Error} - With code DOMAIN_NOT_ALLOWED
+   */
+  assertAllowed(hostname) {
+    if (!this.isAllowed(hostname)) {
+      const error = new Error(`Proxying ${hostname} is not allowed`);
+      error.code = 'DOMAIN_NOT_ALLOWED';
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the current lists
+   * 
+   * @returns {object} - { allow, deny } lists of patterns
+   */
+  getLists() {
+    return { allow: [...this.allow], deny: [...this.deny] };
+  }
+  
+  /**
+   * Replace one or both lists
+   * 
+   * @param {object} lists - New lists ({ allow, deny }), missing ones are
+   *   left unchanged
+   * @returns {object} - Updated lists
+   */
+  setLists(lists) {
+    const allow = lists.allow === undefined ? this.allow : normalizePatterns(lists.allow);
+    const deny = lists.deny === undefined ? this.deny : normalizePatterns(lists.deny);
+    
+    this.allow = allow;
+    this.deny = deny;
+    this._save();
+    
+    return this.getLists();
+  }
+  
+  /**
+   * Add a pattern to a list
+   * 
+   * @param {string} list - 'allow' or 'deny'
+   * @param {string} pattern - Domain pattern
+   * @returns {object} - Updated lists
+   */
+  addPattern(list, pattern) {
+    checkListName(list);
+    return this.setLists({ [list]: [...this[list], pattern] });
+  }
+  
+  /**
+   * Remove a pattern from a list
+   * 
+   * @param {string} list - 'allow' or 'deny'
+   * @param {string} pattern - Domain pattern
+   * @returns {boolean} - True if the pattern was in the list
+   */
+  removePattern(list, pattern) {
+    checkListName(list);
+    
+    const normalized = normalizeDomainPattern(pattern);
+    if (!this[list].includes(normalized)) {
+      return false;
+    }
+    
+    this.setLists({ [list]: this[list].filter(existing => existing !== normalized) });
+    return true;
+  }
+  
+  /**
+   * Save the lists, so that they survive restarts
+   */
+  _save() {
+    if (!this.file) {
+      return;
+    }
+    
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.getLists(), null, 2));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error(`Error saving domain policy to ${this.file}:`, error.message);
+    }
+  }
+}
+
+// Export a singleton instance
+const domainPolicy = new DomainPolicy();
+
+module.exports = { domainPolicy };
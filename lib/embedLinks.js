@@ -0,0 +1,290 @@
+/**
+ * Embed Links Module
+ * 
+ * Embed links restrict which sites may frame a proxied page. The link
+ * carries a grant in its query string: the parent origins allowed to frame
+ * the page and an expiry, bound to the token and signed with the secret of
+ * signed tokens. Once verified, the grant is kept in a cookie for the rest
+ * of the visit, and responses carry a Content-Security-Policy
+ * `frame-ancestors` directive listing those origins instead of the default
+ * `X-Frame-Options: ALLOWALL`.
+ * 
+ * Embed links use embed-only signed tokens, which cannot be framed at all
+ * without a grant, so other sites cannot hot-link an embed by dropping it.
+ * 
+ * Grant layout: `<payload>.<MAC>`, both base64url, where the payload is the
+ * JSON `{ e: expiry in seconds, o: parent origins }` (URL and cookie safe).
+ */
+
+const crypto = require('crypto');
+const { createSignedToken, isSignedTokensEnabled } = require('./signedTokens');
+const { renderErrorPage, buildProxyUrl } = require('./utils');
+const config = require('../config');
+
+const MAC_LENGTH = 16;
+
+/**
+ * Parent origins: a scheme and a host, optionally with a wildcard for
+ * subdomains and a port (the sources frame-ancestors accepts)
+ */
+const PARENT_ORIGIN_PATTERN = /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+/**
+ * Checks and normalizes the parent origins of an embed
+ * 
+ * @param {string[]} parentOrigins - Origins allowed to frame the embed
+ *   ("https://blog.example.com", "https://*.example.com")
+ * @returns {string[]} - Normalized origins, without duplicates
+ * @throws {Error} - With code INVALID_PARENT_ORIGIN
+ */
+function normalizeParentOrigins(parentOrigins) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_PARENT_ORIGIN';
+    return error;
+  };
+  
+  if (!Array.isArray(parentOrigins) || parentOrigins.length === 0) {
+    throw invalid('At least one parent origin is required');
+  }
+  if (parentOrigins.length > config.SIGNED_TOKENS.MAX_PARENT_ORIGINS) {
+    throw invalid(`An embed can have at most ${config.SIGNED_TOKENS.MAX_PARENT_ORIGINS} parent origins`);
+  }
+  
+  const normalized = parentOrigins.map(origin => String(origin).trim().toLowerCase().replace(/\/$/, ''));
+  const malformed = normalized.find(origin => !PARENT_ORIGIN_PATTERN.test(origin));
+  if (malformed !== undefined) {
+    throw invalid(`Invalid parent origin "${malformed}", expected a scheme and a host such as https://example.com`);
+  }
+  
+  return [...new Set(normalized)];
+}
+
+/**
+ * Computes the signature of a grant for a token
+ * 
+ * @param {string} token - Token the grant is bound to
+ * @param {string} payload - Encoded grant payload
+ * @returns {string} - base64url signature
+ */
+function signGrant(token, payload) {
+  return crypto.createHmac('sha256', config.SIGNED_TOKENS.SECRET)
+    .update(`embed:${token}:${payload}`)
+    .digest()
+    .subarray(0, MAC_LENGTH)
+    .toString('base64url');
+}
+
+/**
+ * Creates an embed grant for a token
+ * 
+ * @param {string} token - Token the grant is bound to
+ * @param {string[]} parentOrigins - Origins allowed to frame the token
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @returns {string} - Signed grant
+ */
+function createEmbedGrant(token, parentOrigins, expiresAt) {
+  if (!isSignedTokensEnabled()) {
+    const error = new Error('Embed links are disabled (SIGNED_TOKEN_SECRET is not set)');
+    error.code = 'SIGNED_TOKENS_DISABLED';
+    throw error;
+  }
+  
+  const payload = Buffer.from(JSON.stringify({
+    e: Math.floor(expiresAt / 1000),
+    o: normalizeParentOrigins(parentOrigins)
+  })).toString('base64url');
+  
+  return `${payload}.${signGrant(token, payload)}`;
+}
+
+/**
+ * Verifies an embed grant
+ * 
+ * @param {string} grant - Signed grant
+ * @param {string} token - Token of the request
+ * @returns {object} - { status, parentOrigins, expiresAt } where status is
+ *   'active', 'expired' or 'invalid'
+ */
+function verifyEmbedGrant(grant, token) {
+  const invalid = { status: 'invalid', parentOrigins: null, expiresAt: null };
+  const [payload, mac] = String(grant).split('.');
+  
+  if (!isSignedTokensEnabled() || !payload || !mac) {
+    return invalid;
+  }
+  
+  const expected = Buffer.from(signGrant(token, payload));
+  const provided = Buffer.from(mac);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return invalid;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalid;
+  }
+  
+  if (!data || !Number.isInteger(data.e) || !Array.isArray(data.o)) {
+    return invalid;
+  }
+  
+  const expiresAt = data.e * 1000;
+  return {
+    status: Date.now() >= expiresAt ? 'expired' : 'active',
+    parentOrigins: data.o,
+    expiresAt
+  };
+}
+
+/**
+ * Creates an embed link: an embed-only signed token for the origin, and a
+ * grant for the parent origins in the query string of its URL
+ * 
+ * @param {object} origin - Target origin ({ protocol, domain, port })
+ * @param {string} pathAndQuery - Path and query of the embedded page
+ * @param {string[]} parentOrigins - Origins allowed to frame the page
+ * @param {number} expiresAt - Expiry of the token and the grant
+ * @returns {object} - { token, url, parentOrigins }
+ */
+function createEmbedLink(origin, pathAndQuery, parentOrigins, expiresAt) {
+  const normalized = normalizeParentOrigins(parentOrigins);
+  const token = createSignedToken(origin, expiresAt, { embedOnly: true });
+  const grant = createEmbedGrant(token, normalized, expiresAt);
+  
+  const separator = pathAndQuery.includes('?') ? '&' : '?';
+  return {
+    token,
+    url: buildProxyUrl(token, `${pathAndQuery || '/'}${separator}${config.SIGNED_TOKENS.EMBED_PARAM}=${grant}`),
+    parentOrigins: normalized
+  };
+}
+
+/**
+ * Takes the grant out of the query string of a request, so that it is not
+ * forwarded to the target
+ * 
+ * @param {object} req - Express request (req.url is updated in place)
+ * @returns {string|null} - Grant or null if there is none
+ */
+function takeGrantFromQuery(req) {
+  const queryIndex = req.url.indexOf('?');
+  if (queryIndex === -1) {
+    return null;
+  }
+  
+  const prefix = `${config.SIGNED_TOKENS.EMBED_PARAM}=`;
+  const params = req.url.slice(queryIndex + 1).split('&');
+  const param = params.find(value => value.startsWith(prefix));
+  if (param === undefined) {
+    return null;
+  }
+  
+  const query = params.filter(value => !value.startsWith(prefix)).join('&');
+  req.url = req.url.slice(0, queryIndex) + (query ? `?${query}` : '');
+  return param.slice(prefix.length);
+}
+
+/**
+ * Takes the grant out of the cookies of a request, so that it is not
+ * forwarded to the target
+ * 
+ * @param {object} req - Express request (the Cookie header is updated in place)
+ * @returns {string|null} - Grant or null if there is none
+ */
+function takeGrantFromCookie(req) {
+  const prefix = `${config.SIGNED_TOKENS.EMBED_COOKIE}=`;
+  const cookies = String(req.headers.cookie || '').split(';').map(cookie => cookie.trim()).filter(Boolean);
+  const cookie = cookies.find(value => value.startsWith(prefix));
+  if (cookie === undefined) {
+    return null;
+  }
+  
+  const others = cookies.filter(value => !value.startsWith(prefix));
+  if (others.length) {
+    req.headers.cookie = others.join('; ');
+  } else {
+    delete req.headers.cookie;
+  }
+  return cookie.slice(prefix.length);
+}
+
+/**
+ * Applies the embed grant of a request, if any, to its response
+ * 
+ * A grant in the query string is verified and saved in a cookie, otherwise
+ * the grant saved earlier is used. Responses then only let the parent
+ * origins of the grant frame them, and responses of embed-only tokens
+ * without a grant cannot be framed at all.
+ * 
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} token - Token used for the request
+ * @param {object} targetInfo - Target domain information
+ * @returns {boolean} - False if the embed link is invalid or expired and an
+ *   error page was sent
+ */
+function applyEmbedGrant(req, res, token, targetInfo) {
+  const linkGrant = takeGrantFromQuery(req);
+  const savedGrant = takeGrantFromCookie(req);
+  
+  let grant = null;
+  if (linkGrant !== null) {
+    grant = verifyEmbedGrant(linkGrant, token);
+    
+    if (grant.status === 'invalid') {
+      res.status(400).send(renderErrorPage('Invalid Embed Link',
+        `The embed link of <strong>${token}</strong> has an invalid signature.`));
+      return false;
+    }
+    if (grant.status === 'expired') {
+      res.status(410).send(renderErrorPage('Embed Link Expired',
+        `The embed link of <strong>${token}</strong> has expired.`,
+        'Please ask the owner of this embed for a new link.'));
+      return false;
+    }
+  } else if (savedGrant !== null) {
+    // Saved grants that are no longer valid are ignored
+    grant = verifyEmbedGrant(savedGrant, token);
+    if (grant.status !== 'active') {
+      grant = null;
+    }
+  }
+  
+  if (!grant && !targetInfo.embedOnly) {
+    return true;
+  }
+  
+  const sources = grant ? grant.parentOrigins.join(' ') : "'none'";
+  
+  // Set once the proxied (or cached) response headers are in place
+  const originalWriteHead = res.writeHead;
+  res.writeHead = function(...args) {
+    const policy = this.getHeader('content-security-policy');
+    this.setHeader('content-security-policy', policy ? `${policy}, frame-ancestors ${sources}` : `frame-ancestors ${sources}`);
+    this.removeHeader('x-frame-options');
+    
+    if (linkGrant !== null) {
+      const maxAge = Math.ceil((grant.expiresAt - Date.now()) / 1000);
+      const setCookie = this.getHeader('set-cookie');
+      this.setHeader('set-cookie', [
+        ...(setCookie ? [].concat(setCookie) : []),
+        `${config.SIGNED_TOKENS.EMBED_COOKIE}=${linkGrant}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=None; Secure`
+      ]);
+    }
+    
+    return originalWriteHead.apply(this, args);
+  };
+  
+  return true;
+}
+
+module.exports = {
+  normalizeParentOrigins,
+  createEmbedGrant,
+  verifyEmbedGrant,
+  createEmbedLink,
+  applyEmbedGrant
+};
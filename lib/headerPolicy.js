@@ -0,0 +1,390 @@
+/**
+ * Header Policy Module
+ * 
+ * Applies declarative rules to the headers of proxied requests and
+ * responses. Each rule matches on the target domain, the content type or the
+ * token, and strips, sets, appends or rewrites headers. The built-in
+ * behaviour (removing the headers that prevent embedding and allowing any
+ * origin) is the default ruleset, which the rules file of
+ * config.HEADER_RULES_FILE extends.
+ * 
+ * A rules file looks like:
+ * 
+ *   {
+ *     "defaults": true,
+ *     "rules": [
+ *       {
+ *         "name": "keep-csp-for-docs",
+ *         "match": { "domain": "docs.example.com", "contentType": "text/html" },
+ *         "response": { "keep": ["content-security-policy"] }
+ *       }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const { matchesAnyDomain } = require('./domainMatcher');
+const config = require('../config');
+
+/**
+ * Rules applied unless the rules file disables them, reproducing the
+ * built-in header handling of the proxy
+ */
+const DEFAULT_RULES = [
+  {
+    name: 'hide-proxy-headers',
+    request: {
+      strip: ['x-forwarded-host', 'x-forwarded-proto']
+    }
+  },
+  {
+    name: 'allow-embedding',
+    response: {
+      strip: [
+        'x-frame-options',
+        'content-security-policy',
+        'content-security-policy-report-only',
+        'feature-policy',
+        'permissions-policy'
+      ],
+      set: { 'x-frame-options': 'ALLOWALL' }
+    }
+  },
+  {
+    name: 'allow-any-origin',
+    response: {
+      set: {
+        'access-control-allow-origin': '*',
+        'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'access-control-allow-headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
+        'access-control-allow-credentials': 'true'
+      }
+    }
+  }
+];
+
+/**
+ * Conditions a rule may match on
+ */
+const MATCH_FIELDS = ['domain', 'contentType', 'token'];
+
+/**
+ * Actions of a rule, applied in this order
+ */
+const ACTIONS = ['strip', 'set', 'append', 'rewrite'];
+
+/**
+ * Creates a rules error with a code
+ * 
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code INVALID_HEADER_RULES
+ */
+function rulesError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_HEADER_RULES';
+  return error;
+}
+
+/**
+ * Normalizes a list of header names
+ * 
+ * @param {string[]} names - Header names
+ * @param {string} where - Location of the list, for error messages
+ * @returns {string[]} - Lowercase header names
+ */
+function normalizeHeaderNames(names, where) {
+  if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+    throw rulesError(`${where} must be a list of header names`);
+  }
+  return names.map(name => name.toLowerCase());
+}
+
+/**
+ * Normalizes a map of header names to values
+ * 
+ * @param {object} headers - Header values by name
+ * @param {string} where - Location of the map, for error messages
+ * @returns {object} - Header values by lowercase name
+ */
+function normalizeHeaderValues(headers, where) {
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      !Object.values(headers).every(value => typeof value === 'string')) {
+    throw rulesError(`${where} must map header names to string values`);
+  }
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Normalizes the header rewrites of a rule, compiling their patterns
+ * 
+ * @param {object} rewrites - Rewrites by header name, each with a pattern
+ *   (regular expression), a replacement and optional flags
+ * @param {string} where - Location of the rewrites, for error messages
+ * @returns {object} - Rewrites by lowercase header name
+ */
+function normalizeRewrites(rewrites, where) {
+  if (!rewrites || typeof rewrites !== 'object' || Array.isArray(rewrites)) {
+    throw rulesError(`${where} must map header names to rewrites`);
+  }
+  
+  return Object.fromEntries(Object.entries(rewrites).map(([name, rewrite]) => {
+    if (!rewrite || typeof rewrite.pattern !== 'string' || typeof rewrite.replacement !== 'string') {
+      throw rulesError(`${where}.${name} must have a pattern and a replacement`);
+    }
+    
+    try {
+      return [name.toLowerCase(), { pattern: new RegExp(rewrite.pattern, rewrite.flags || 'g'), replacement: rewrite.replacement }];
+    } catch (error) {
+      throw rulesError(`${where}.${name} has an invalid pattern: ${error.message}`);
+    }
+  }));
+}
+
+/**
+ * Normalizes the actions of a rule on the request or response headers
+ * 
+ * @param {object} actions - Actions (keep, strip, set, append, rewrite)
+ * @param {string} where - Location of the actions, for error messages
+ * @returns {object} - Normalized actions
+ */
+function normalizeActions(actions, where) {
+  if (!actions || typeof actions !== 'object') {
+    throw rulesError(`${where} must be an object`);
+  }
+  
+  const unknown = Object.keys(actions).filter(action => action !== 'keep' && !ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw rulesError(`${where} has unknown actions: ${unknown.join(', ')}`);
+  }
+  
+  return {
+    keep: normalizeHeaderNames(actions.keep || [], `${where}.keep`),
+    strip: normalizeHeaderNames(actions.strip || [], `${where}.strip`),
+    set: normalizeHeaderValues(actions.set || {}, `${where}.set`),
+    append: normalizeHeaderValues(actions.append || {}, `${where}.append`),
+    rewrite: normalizeRewrites(actions.rewrite || {}, `${where}.rewrite`)
+  };
+}
+
+/**
+ * Checks and normalizes a rule
+ * 
+ * @param {object} rule - Rule as written
+ * @param {number} index - Position of the rule, for error messages
+ * @returns {object} - Rule with list conditions and normalized actions
+ */
+function normalizeRule(rule, index) {
+  const name = rule && rule.name ? String(rule.name) : `rule ${index + 1}`;
+  
+  if (!rule || typeof rule !== 'object' || (!rule.request && !rule.response)) {
+    throw rulesError(`${name} must have request or response actions`);
+  }
+  
+  const match = rule.match || {};
+  const unknown = Object.keys(match).filter(field => !MATCH_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw rulesError(`${name} matches on unknown fields: ${unknown.join(', ')}`);
+  }
+  
+  // Each condition is a list of accepted values, or null to accept any
+  const conditions = {};
+  for (const field of MATCH_FIELDS) {
+    conditions[field] = match[field] === undefined ? null : [].concat(match[field]).map(value => String(value).toLowerCase());
+  }
+  
+  return {
+    name,
+    match: conditions,
+    request: rule.request ? normalizeActions(rule.request, `${name}.request`) : null,
+    response: rule.response ? normalizeActions(rule.response, `${name}.response`) : null
+  };
+}
+
+/**
+ * Checks whether a content type matches patterns such as "text/html" or
+ * "image/*"
+ * 
+ * @param {string} contentType - Content-Type header
+ * @param {string[]} patterns - Lowercase media type patterns
+ * @returns {boolean} - True if any pattern matches
+ */
+function matchesContentType(contentType, patterns) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  
+  return patterns.some(pattern => pattern === '*' || pattern === mediaType ||
+    (pattern.endsWith('/*') && mediaType.startsWith(pattern.slice(0, -1))));
+}
+
+/**
+ * Creates an accessor for the headers of an outgoing request
+ * 
+ * @param {http.ClientRequest} proxyReq - Request to the target
+ * @returns {object} - Accessor with get, set and remove methods
+ */
+function requestHeaders(proxyReq) {
+  return {
+    get: name => proxyReq.getHeader(name),
+    set: (name, value) => proxyReq.setHeader(name, value),
+    remove: name => proxyReq.removeHeader(name)
+  };
+}
+
+/**
+ * Creates an accessor for the headers of an upstream response
+ * 
+ * @param {http.IncomingMessage} proxyRes - Response of the target
+ * @returns {object} - Accessor with get, set and remove methods
+ */
+function responseHeaders(proxyRes) {
+  return {
+    get: name => proxyRes.headers[name],
+    set: (name, value) => { proxyRes.headers[name] = value; },
+    remove: name => { delete proxyRes.headers[name]; }
+  };
+}
+
+/**
+ * Applies the actions of the matching rules to headers
+ * 
+ * Headers kept by any of the rules end up with their original value,
+ * whatever the other rules do.
+ * 
+ * @param {object[]} actionsList - Actions of the matching rules, in order
+ * @param {object} headers - Header accessor
+ */
+function applyActions(actionsList, headers) {
+  const kept = new Map();
+  for (const actions of actionsList) {
+    for (const name of actions.keep) {
+      kept.set(name, headers.get(name));
+    }
+  }
+  
+  for (const actions of actionsList) {
+    for (const name of actions.strip) {
+      headers.remove(name);
+    }
+    
+    for (const [name, value] of Object.entries(actions.set)) {
+      headers.set(name, value);
+    }
+    
+    for (const [name, value] of Object.entries(actions.append)) {
+      const current = headers.get(name);
+      if (current === undefined) {
+        headers.set(name, value);
+      } else {
+        headers.set(name, Array.isArray(current) ? [...current, value] : `${current}, ${value}`);
+      }
+    }
+    
+    for (const [name, { pattern, replacement }] of Object.entries(actions.rewrite)) {
+      const current = headers.get(name);
+      if (current !== undefined) {
+        headers.set(name, Array.isArray(current)
+          ? current.map(value => value.replace(pattern, replacement))
+          : String(current).replace(pattern, replacement));
+      }
+    }
+  }
+  
+  for (const [name, value] of kept) {
+    if (value === undefined) {
+      headers.remove(name);
+    } else {
+      headers.set(name, value);
+    }
+  }
+}
+
+/**
+ * HeaderPolicy class applying header rules to proxied traffic
+ */
+class HeaderPolicy {
+  constructor() {
+    this.rules = DEFAULT_RULES.map(normalizeRule);
+  }
+  
+  /**
+   * Load the rules file, if configured
+   * 
+   * @throws {Error} - With code INVALID_HEADER_RULES if the file is invalid
+   */
+  initialize() {
+    if (!config.HEADER_RULES_FILE) {
+      return;
+    }
+    
+    let file;
+    try {
+      file = JSON.parse(fs.readFileSync(config.HEADER_RULES_FILE, 'utf8'));
+    } catch (error) {
+      throw rulesError(`Cannot read header rules from ${config.HEADER_RULES_FILE}: ${error.message}`);
+    }
+    
+    if (!file || !Array.isArray(file.rules)) {
+      throw rulesError(`Header rules file ${config.HEADER_RULES_FILE} must have a "rules" list`);
+    }
+    
+    // Custom rules are applied after the default ones, unless disabled
+    const defaults = file.defaults === false ? [] : DEFAULT_RULES;
+    this.rules = [...defaults.map(normalizeRule), ...file.rules.map(normalizeRule)];
+    
+    console.log(`Loaded ${file.rules.length} header rules from ${config.HEADER_RULES_FILE}${file.defaults === false ? ' (default rules disabled)' : ''}`);
+  }
+  
+  /**
+   * Get the rules matching a proxied exchange
+   * 
+   * @param {object} targetInfo - Target domain information
+   * @param {string} token - Token used for the request
+   * @param {string} contentType - Content type of the request or response
+   * @returns {object[]} - Matching rules, in order
+   */
+  _getMatchingRules(targetInfo, token, contentType) {
+    return this.rules.filter(({ match }) =>
+      (!match.domain || matchesAnyDomain(targetInfo.domain, match.domain)) &&
+      (!match.token || match.token.includes(String(token).toLowerCase())) &&
+      (!match.contentType || matchesContentType(contentType, match.contentType))
+    );
+  }
+  
+  /**
+   * Apply the rules to the headers of a request to the target
+   * 
+   * Content type conditions are checked against the request's own
+   * Content-Type.
+   * 
+   * @param {http.ClientRequest} proxyReq - Request to the target
+   * @param {object} req - Client request
+   * @param {object} targetInfo - Target domain information
+   * @param {string} token - Token used for the request
+   */
+  applyToRequest(proxyReq, req, targetInfo, token) {
+    const actions = this._getMatchingRules(targetInfo, token, req.headers['content-type'])
+      .map(rule => rule.request)
+      .filter(Boolean);
+    
+    applyActions(actions, requestHeaders(proxyReq));
+  }
+  
+  /**
+   * Apply the rules to the headers of a response of the target
+   * 
+   * @param {http.IncomingMessage} proxyRes - Response of the target
+   * @param {object} targetInfo - Target domain information
+   * @param {string} token - Token used for the request
+   */
+  applyToResponse(proxyRes, targetInfo, token) {
+    const actions = this._getMatchingRules(targetInfo, token, proxyRes.headers['content-type'])
+      .map(rule => rule.response)
+      .filter(Boolean);
+    
+    applyActions(actions, responseHeaders(proxyRes));
+  }
+}
+
+// Export a singleton instance
+const headerPolicy = new HeaderPolicy();
+
+module.exports = { headerPolicy };
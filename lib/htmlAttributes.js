@@ -0,0 +1,180 @@
+/**
+ * HTML Attributes Module
+ * 
+ * Rewrites the URLs found in the attributes of HTML tags, whatever their
+ * quoting: plain URL attributes, responsive image candidate lists, inline
+ * styles and <meta http-equiv="refresh"> redirects, as well as the URLs of
+ * <script type="importmap"> blocks.
+ */
+
+const { rewriteCss } = require('./cssRewriter');
+
+/**
+ * Attributes holding a single URL
+ */
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'data-src', 'xlink:href'];
+
+/**
+ * Attributes holding a list of image candidates ("url 2x, url 480w")
+ */
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset', 'data-srcset'];
+
+/**
+ * Attributes of a tag, with their value double-quoted, single-quoted,
+ * unquoted or missing
+ */
+const ATTRIBUTE_PATTERN = /(\s+)([^\s"'>\/=]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Rewrites the URLs of an image candidate list
+ * 
+ * @param {string} srcset - Value of a srcset attribute
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten candidate list
+ */
+function rewriteSrcset(srcset, rewriteUrl) {
+  // Each candidate is a URL, which may contain commas but not spaces, then
+  // optional descriptors up to the next comma
+  return srcset.replace(/([\s,]*)(\S+)([^,]*)/g, (match, separator, url, descriptors) => {
+    // A URL directly followed by a comma has no descriptors
+    const trailingCommas = /,*$/.exec(url)[0];
+    const candidateUrl = url.slice(0, url.length - trailingCommas.length);
+    if (!candidateUrl) {
+      return match;
+    }
+    return `${separator}${rewriteUrl(candidateUrl)}${trailingCommas}${descriptors}`;
+  });
+}
+
+/**
+ * Rewrites the URL of a <meta http-equiv="refresh"> content attribute
+ * 
+ * @param {string} content - Value of the content attribute ("5; url=/next")
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten content
+ */
+function rewriteRefresh(content, rewriteUrl) {
+  const match = /^(\s*[\d.]*\s*[;,]\s*(?:url\s*=\s*)?)(["']?)(.*?)(\2\s*)$/is.exec(content);
+  if (!match || !match[3]) {
+    return content;
+  }
+  
+  const [, delay, quote, url, end] = match;
+  return `${delay}${quote}${rewriteUrl(url)}${end}`;
+}
+
+/**
+ * Rewrites the URLs of an import map
+ * 
+ * Module URLs and scope prefixes are rewritten. Specifiers are left alone,
+ * as modules are imported by the specifiers written in their code.
+ * 
+ * @param {string} json - Content of a <script type="importmap"> block
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten import map, or the original if it is not
+ *   valid JSON
+ */
+function rewriteImportMap(json, rewriteUrl) {
+  let importMap;
+  try {
+    importMap = JSON.parse(json);
+  } catch (error) {
+    return json;
+  }
+  
+  if (!importMap || typeof importMap !== 'object') {
+    return json;
+  }
+  
+  const isObject = value => value && typeof value === 'object';
+  
+  const rewriteModuleUrls = specifierMap => Object.fromEntries(
+    Object.entries(specifierMap).map(([specifier, url]) => [specifier, typeof url === 'string' ? rewriteUrl(url) : url])
+  );
+  
+  if (isObject(importMap.imports)) {
+    importMap.imports = rewriteModuleUrls(importMap.imports);
+  }
+  
+  if (isObject(importMap.scopes)) {
+    importMap.scopes = Object.fromEntries(
+      Object.entries(importMap.scopes).map(([prefix, specifierMap]) => [
+        rewriteUrl(prefix),
+        isObject(specifierMap) ? rewriteModuleUrls(specifierMap) : specifierMap
+      ])
+    );
+  }
+  
+  // Integrity metadata is keyed by module URL
+  if (isObject(importMap.integrity)) {
+    importMap.integrity = Object.fromEntries(
+      Object.entries(importMap.integrity).map(([url, integrity]) => [rewriteUrl(url), integrity])
+    );
+  }
+  
+  return JSON.stringify(importMap);
+}
+
+/**
+ * Gets the function rewriting the value of an attribute
+ * 
+ * @param {string} name - Lowercase attribute name
+ * @param {boolean} isRefresh - Whether the tag is a <meta> refresh
+ * @returns {Function|null} - Rewriter taking the value and a URL rewriter,
+ *   or null if the attribute holds no URL
+ */
+function getValueRewriter(name, isRefresh) {
+  if (URL_ATTRIBUTES.includes(name)) {
+    return (value, rewriteUrl) => rewriteUrl(value);
+  }
+  if (SRCSET_ATTRIBUTES.includes(name)) {
+    return rewriteSrcset;
+  }
+  if (name === 'style') {
+    // Quotes in inline styles may be escaped as &quot;
+    return (value, rewriteUrl) => rewriteCss(value.replace(/&quot;/g, '"'), rewriteUrl);
+  }
+  if (name === 'content' && isRefresh) {
+    return rewriteRefresh;
+  }
+  return null;
+}
+
+/**
+ * Rewrites the URLs of the attributes of a tag
+ * 
+ * Rewritten values keep their quotes, and unquoted ones are double-quoted.
+ * 
+ * @param {string} tagName - Tag name
+ * @param {string} attributes - Attributes of the tag, as written
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten attributes
+ */
+function rewriteAttributes(tagName, attributes, rewriteUrl) {
+  const isRefresh = tagName.toLowerCase() === 'meta' &&
+    /\shttp-equiv\s*=\s*["']?refresh["'\s>\/]/i.test(`${attributes} `);
+  
+  return attributes.replace(ATTRIBUTE_PATTERN, (match, space, name, equals, doubleQuoted, singleQuoted, unquoted) => {
+    const value = doubleQuoted ?? singleQuoted ?? unquoted;
+    const rewriteValue = value !== undefined && getValueRewriter(name.toLowerCase(), isRefresh);
+    if (!rewriteValue) {
+      return match;
+    }
+    
+    const rewritten = rewriteValue(value, rewriteUrl);
+    if (rewritten === value) {
+      return match;
+    }
+    
+    return singleQuoted !== undefined
+      ? `${space}${name}${equals}'${rewritten.replace(/'/g, '&#39;')}'`
+      : `${space}${name}${equals}"${rewritten.replace(/"/g, '&quot;')}"`;
+  });
+}
+
+module.exports = {
+  rewriteSrcset,
+  rewriteRefresh,
+  rewriteImportMap,
+  rewriteAttributes
+};
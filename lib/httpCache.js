@@ -0,0 +1,738 @@
+/**
+ * HTTP Cache Module
+ * 
+ * Shared cache of proxied static assets, following the caching headers of
+ * the original site (Cache-Control, Expires, ETag, Last-Modified and Vary).
+ * Responses are kept in a memory tier and a disk tier, each bounded by the
+ * limits of config.CACHE and evicted least recently used first.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getTargetOrigin, HOP_BY_HOP_HEADERS } = require('./utils');
+const { getRewrittenFormat } = require('./linkRewriter');
+const config = require('../config');
+
+/**
+ * Extension of the entry files of the disk tier
+ */
+const ENTRY_EXTENSION = '.entry';
+
+/**
+ * Headers a 304 Not Modified response does not update on a cached response
+ */
+const NOT_UPDATED_HEADERS = ['content-length', 'content-encoding', 'content-range', ...HOP_BY_HOP_HEADERS];
+
+/**
+ * Parses a Cache-Control header
+ * 
+ * @param {string} header - Cache-Control header
+ * @returns {object} - Directives keyed by lowercase name (true when valueless)
+ */
+function parseCacheControl(header) {
+  const directives = {};
+  
+  for (const part of String(header || '').split(',')) {
+    const [name, ...value] = part.split('=');
+    const directive = name.trim().toLowerCase();
+    if (directive) {
+      directives[directive] = value.length > 0 ? value.join('=').trim().replace(/^"|"$/g, '') : true;
+    }
+  }
+  
+  return directives;
+}
+
+/**
+ * Parses a number of seconds from a directive or header
+ * 
+ * @param {*} value - Directive or header value
+ * @returns {number|null} - Seconds or null if missing or invalid
+ */
+function parseSeconds(value) {
+  const seconds = parseInt(value, 10);
+  return Number.isNaN(seconds) || seconds < 0 ? null : seconds;
+}
+
+/**
+ * Parses an HTTP date
+ * 
+ * @param {string} value - Header value
+ * @returns {number|null} - Timestamp or null if missing or invalid
+ */
+function parseDate(value) {
+  const timestamp = value ? Date.parse(value) : NaN;
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Gets the request headers a response varies on
+ * 
+ * @param {object} headers - Response headers
+ * @returns {string[]} - Lowercase header names
+ */
+function getVaryHeaders(headers) {
+  return String(headers.vary || '').split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes a request header value for Vary matching
+ * 
+ * @param {string|string[]} value - Header value
+ * @returns {string} - Normalized value
+ */
+function normalizeHeaderValue(value) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value || '');
+  return text.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Gets how long a response stays fresh
+ * 
+ * @param {object} headers - Response headers
+ * @returns {number} - Freshness lifetime in milliseconds (0 when stale at once)
+ */
+function getFreshnessLifetime(headers) {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  
+  // A shared cache prefers s-maxage over max-age, and both over Expires
+  const maxAge = parseSeconds(cacheControl['s-maxage']) ?? parseSeconds(cacheControl['max-age']);
+  if (maxAge !== null) {
+    return maxAge * 1000;
+  }
+  
+  if (headers.expires) {
+    const expires = parseDate(headers.expires);
+    const date = parseDate(headers.date) ?? Date.now();
+    return expires === null ? 0 : Math.max(0, expires - date);
+  }
+  
+  return 0;
+}
+
+/**
+ * Checks whether a request asks to bypass stored responses
+ * 
+ * @param {object} req - Client request
+ * @returns {boolean} - True if the request must not be answered from the cache
+ */
+function isUncacheableRequest(req) {
+  const cacheControl = parseCacheControl(req.headers['cache-control']);
+  return (req.method !== 'GET' && req.method !== 'HEAD') ||
+    Boolean(cacheControl['no-store']) ||
+    Boolean(req.headers.authorization);
+}
+
+/**
+ * Checks whether the validators of a cached response satisfy the
+ * conditional headers of a request
+ * 
+ * @param {object} entry - Cache entry
+ * @param {object} req - Client request
+ * @returns {boolean} - True if the client copy is up to date
+ */
+function isNotModified(entry, req) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    const etag = entry.headers.etag;
+    if (!etag) {
+      return false;
+    }
+    
+    // Weak comparison, as for GET and HEAD requests
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === opaque(etag));
+  }
+  
+  const ifModifiedSince = parseDate(req.headers['if-modified-since']);
+  const lastModified = parseDate(entry.headers['last-modified']);
+  return ifModifiedSince !== null && lastModified !== null && lastModified <= ifModifiedSince;
+}
+
+/**
+ * HttpCache class storing proxied responses in memory and on disk
+ */
+class HttpCache {
+  constructor() {
+    this.enabled = false;
+    
+    // Entry metadata of both tiers, keyed by entry id
+    this.entries = new Map();
+    
+    // Maps cache keys (URLs) to the ids of their entries, one per variant
+    this.variants = new Map();
+    
+    // Memory tier: entry bodies, least recently used first
+    this.memory = new Map();
+    this.memoryBytes = 0;
+    
+    // Disk tier: entry file sizes, least recently used first
+    this.disk = new Map();
+    this.diskBytes = 0;
+    this.dir = null;
+  }
+  
+  /**
+   * Initialize the cache, loading the entries of the disk tier
+   */
+  initialize() {
+    if (!config.CACHE.ENABLED) {
+      return;
+    }
+    
+    this.enabled = true;
+    
+    if (config.CACHE.DISK_DIR && config.CACHE.DISK_MAX_BYTES > 0) {
+      this.dir = config.CACHE.DISK_DIR;
+      fs.mkdirSync(this.dir, { recursive: true });
+      this._loadDiskEntries();
+    }
+    
+    console.log(`HTTP cache enabled (${this.entries.size} entries on disk${this.dir ? ` in ${this.dir}` : ', disk tier disabled'})`);
+  }
+  
+  /**
+   * Load the metadata of the entries stored on disk
+   */
+  _loadDiskEntries() {
+    const files = [];
+    
+    for (const name of fs.readdirSync(this.dir)) {
+      const file = path.join(this.dir, name);
+      
+      // Leftovers of interrupted writes
+      if (name.endsWith('.tmp')) {
+        fs.unlinkSync(file);
+        continue;
+      }
+      
+      if (name.endsWith(ENTRY_EXTENSION)) {
+        files.push({ file, stat: fs.statSync(file) });
+      }
+    }
+    
+    // Oldest files first, so they are the first evicted
+    files.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+    
+    for (const { file, stat } of files) {
+      const entry = this._readEntryMetadata(file);
+      if (!entry || path.basename(file) !== entry.file) {
+        console.error(`Removing unreadable HTTP cache entry ${file}`);
+        fs.unlinkSync(file);
+        continue;
+      }
+      
+      // A newer file of the same entry replaces the older one
+      this._removeEntry(entry.id);
+      this._addEntry(entry);
+      this.disk.set(entry.id, stat.size);
+      this.diskBytes += stat.size;
+    }
+    
+    this._evictDisk();
+  }
+  
+  /**
+   * Read the metadata line at the start of an entry file
+   * 
+   * @param {string} file - Entry file
+   * @returns {object|null} - Entry metadata or null if unreadable
+   */
+  _readEntryMetadata(file) {
+    const fd = fs.openSync(file, 'r');
+    
+    try {
+      const chunks = [];
+      const buffer = Buffer.alloc(16 * 1024);
+      let position = 0;
+      let bytesRead;
+      
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, position)) > 0) {
+        const chunk = buffer.subarray(0, bytesRead);
+        const newline = chunk.indexOf(0x0A);
+        
+        if (newline !== -1) {
+          chunks.push(Buffer.from(chunk.subarray(0, newline)));
+          return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        }
+        
+        chunks.push(Buffer.from(chunk));
+        position += bytesRead;
+      }
+      
+      return null;
+    } catch (error) {
+      return null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+  
+  /**
+   * Gets the cache key of a proxied request
+   * 
+   * The key is the URL on the target site, so every token of an origin
+   * shares the same entries.
+   * 
+   * @param {object} targetInfo - Target domain information
+   * @param {object} req - Client request
+   * @returns {string} - Cache key
+   */
+  getCacheKey(targetInfo, req) {
+    return `${getTargetOrigin(targetInfo)}${req.url}`;
+  }
+  
+  /**
+   * Finds the stored response matching a request
+   * 
+   * @param {string} key - Cache key (see getCacheKey)
+   * @param {object} req - Client request
+   * @returns {object|null} - Cache entry, fresh or not, or null
+   */
+  lookup(key, req) {
+    if (!this.enabled || isUncacheableRequest(req)) {
+      return null;
+    }
+    
+    for (const id of this.variants.get(key) || []) {
+      const entry = this.entries.get(id);
+      const matches = Object.entries(entry.vary)
+        .every(([name, value]) => normalizeHeaderValue(req.headers[name]) === value);
+      
+      if (matches) {
+        return entry;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Checks whether a stored response can be sent without revalidation
+   * 
+   * @param {object} entry - Cache entry
+   * @param {object} req - Client request
+   * @returns {boolean} - True if fresh
+   */
+  isFresh(entry, req) {
+    const cacheControl = parseCacheControl(req.headers['cache-control']);
+    if (entry.noCache || cacheControl['no-cache'] || /no-cache/i.test(req.headers.pragma || '')) {
+      return false;
+    }
+    
+    const age = this._getAge(entry);
+    const maxAge = parseSeconds(cacheControl['max-age']);
+    
+    return age < entry.lifetime && (maxAge === null || age <= maxAge * 1000);
+  }
+  
+  /**
+   * Gets the current age of a stored response
+   * 
+   * @param {object} entry - Cache entry
+   * @returns {number} - Age in milliseconds
+   */
+  _getAge(entry) {
+    return entry.initialAge + (Date.now() - entry.responseTime);
+  }
+  
+  /**
+   * Reads the body of a stored response, from memory or disk
+   * 
+   * @param {object} entry - Cache entry
+   * @returns {Promise<Buffer|null>} - Body or null if it could not be read
+   */
+  async readBody(entry) {
+    const body = this.memory.get(entry.id);
+    if (body) {
+      // Most recently used last
+      this.memory.delete(entry.id);
+      this.memory.set(entry.id, body);
+      return body;
+    }
+    
+    if (!this.disk.has(entry.id)) {
+      return null;
+    }
+    
+    try {
+      const data = await fs.promises.readFile(path.join(this.dir, entry.file));
+      const diskBody = data.subarray(data.indexOf(0x0A) + 1);
+      
+      const size = this.disk.get(entry.id);
+      this.disk.delete(entry.id);
+      this.disk.set(entry.id, size);
+      
+      this._storeInMemory(entry.id, diskBody);
+      return diskBody;
+    } catch (error) {
+      console.error(`Failed to read HTTP cache entry for ${entry.key}:`, error.message);
+      this._removeEntry(entry.id);
+      return null;
+    }
+  }
+  
+  /**
+   * Sends a stored response, or 304 Not Modified when the client copy is
+   * up to date
+   * 
+   * @param {object} entry - Cache entry
+   * @param {Buffer} body - Entry body (see readBody)
+   * @param {object} req - Client request
+   * @param {object} res - Client response
+   * @param {string} status - Cache status reported to the client (HIT or REVALIDATED)
+   * @param {object} headers - Headers to send, defaults to the stored ones
+   */
+  send(entry, body, req, res, status, headers = entry.headers) {
+    const notModified = isNotModified(entry, req);
+    
+    for (const [name, value] of Object.entries(headers)) {
+      if (!notModified || name !== 'content-length') {
+        res.setHeader(name, value);
+      }
+    }
+    
+    res.setHeader('age', Math.floor(this._getAge(entry) / 1000));
+    res.setHeader('x-proxywarp-cache', status);
+    
+    if (config.DEBUG) {
+      console.log(`[${Date.now()}] HTTP cache ${status}: ${entry.key}${notModified ? ' (not modified)' : ''}`);
+    }
+    
+    if (notModified) {
+      res.statusCode = 304;
+      return res.end();
+    }
+    
+    res.statusCode = entry.statusCode;
+    res.setHeader('content-length', body.length);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  }
+  
+  /**
+   * Updates a stored response after the origin confirmed it with a
+   * 304 Not Modified response
+   * 
+   * @param {object} entry - Cache entry
+   * @param {object} headers - Headers of the 304 response
+   */
+  revalidate(entry, headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      if (value !== undefined && !NOT_UPDATED_HEADERS.includes(name)) {
+        entry.headers[name] = value;
+      }
+    }
+    
+    Object.assign(entry, this._getFreshness(entry.headers, Date.now()));
+  }
+  
+  /**
+   * Computes the freshness fields of an entry
+   * 
+   * @param {object} headers - Response headers
+   * @param {number} responseTime - When the response was received
+   * @returns {object} - { responseTime, initialAge, lifetime, noCache }
+   */
+  _getFreshness(headers, responseTime) {
+    const date = parseDate(headers.date);
+    const ageHeader = parseSeconds(headers.age) || 0;
+    
+    return {
+      responseTime,
+      initialAge: Math.max(ageHeader * 1000, date !== null ? responseTime - date : 0),
+      lifetime: getFreshnessLifetime(headers),
+      noCache: Boolean(parseCacheControl(headers['cache-control'])['no-cache'])
+    };
+  }
+  
+  /**
+   * Checks whether a response may be stored
+   * 
+   * @param {object} req - Client request
+   * @param {object} proxyRes - Upstream response ({ statusCode, headers })
+   * @returns {boolean} - True if storable
+   */
+  isStorable(req, proxyRes) {
+    const headers = proxyRes.headers;
+    const cacheControl = parseCacheControl(headers['cache-control']);
+    const contentLength = parseInt(headers['content-length'], 10);
+    
+    return req.method === 'GET' &&
+      !isUncacheableRequest(req) &&
+      proxyRes.statusCode === 200 &&
+      !cacheControl['no-store'] &&
+      !cacheControl['private'] &&
+      // Cookies are personal, and rewritten pages and stylesheets depend
+      // on the token
+      !headers['set-cookie'] &&
+      !getRewrittenFormat(headers['content-type']) &&
+      !getVaryHeaders(headers).includes('*') &&
+      !(contentLength > config.CACHE.MAX_ENTRY_BYTES) &&
+      // Responses that are never fresh are only worth keeping to revalidate
+      (getFreshnessLifetime(headers) > 0 || Boolean(headers.etag || headers['last-modified']));
+  }
+  
+  /**
+   * Stores an upstream response as it is piped to the client, if it is
+   * storable
+   * 
+   * Entries are shared by every token of an origin, so they keep the
+   * headers sent by the origin, before any token's header rules changed
+   * them.
+   * 
+   * @param {string} key - Cache key (see getCacheKey)
+   * @param {object} req - Client request
+   * @param {object} proxyRes - Upstream response, not yet consumed
+   * @param {object} upstreamHeaders - Headers as received from the origin
+   * @returns {boolean} - True if the response is being stored
+   */
+  capture(key, req, proxyRes, upstreamHeaders = proxyRes.headers) {
+    if (!this.enabled || !this.isStorable(req, { statusCode: proxyRes.statusCode, headers: upstreamHeaders })) {
+      return false;
+    }
+    
+    const responseTime = Date.now();
+    const headers = { ...upstreamHeaders };
+    const chunks = [];
+    let size = 0;
+    
+    proxyRes.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= config.CACHE.MAX_ENTRY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    
+    proxyRes.on('end', () => {
+      if (proxyRes.complete && size <= config.CACHE.MAX_ENTRY_BYTES) {
+        this._store(key, req, proxyRes.statusCode, headers, Buffer.concat(chunks), responseTime);
+      }
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Stores a response in both tiers
+   * 
+   * @param {string} key - Cache key
+   * @param {object} req - Client request
+   * @param {number} statusCode - Response status code
+   * @param {object} headers - Response headers
+   * @param {Buffer} body - Response body
+   * @param {number} responseTime - When the response was received
+   */
+  _store(key, req, statusCode, headers, body, responseTime) {
+    const vary = {};
+    for (const name of getVaryHeaders(headers)) {
+      vary[name] = normalizeHeaderValue(req.headers[name]);
+    }
+    
+    const storedHeaders = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (value !== undefined && !HOP_BY_HOP_HEADERS.includes(name)) {
+        storedHeaders[name] = value;
+      }
+    }
+    
+    const id = crypto.createHash('sha256').update(`${key}\n${JSON.stringify(vary)}`).digest('hex');
+    this._removeEntry(id);
+    
+    const entry = {
+      id,
+      key,
+      vary,
+      statusCode,
+      headers: storedHeaders,
+      ...this._getFreshness(headers, responseTime)
+    };
+    
+    this._addEntry(entry);
+    this._storeInMemory(id, body);
+    this._writeToDisk(entry, body);
+    
+    if (config.DEBUG) {
+      console.log(`[${Date.now()}] HTTP cache stored ${key} (${body.length} bytes, fresh for ${entry.lifetime / 1000}s)`);
+    }
+  }
+  
+  /**
+   * Index an entry by id and cache key
+   * 
+   * @param {object} entry - Cache entry
+   */
+  _addEntry(entry) {
+    this.entries.set(entry.id, entry);
+    
+    if (!this.variants.has(entry.key)) {
+      this.variants.set(entry.key, new Set());
+    }
+    this.variants.get(entry.key).add(entry.id);
+  }
+  
+  /**
+   * Keep a body in the memory tier, evicting the least recently used ones
+   * 
+   * Entries evicted from memory remain available from disk, if stored there.
+   * 
+   * @param {string} id - Entry id
+   * @param {Buffer} body - Entry body
+   */
+  _storeInMemory(id, body) {
+    if (body.length > config.CACHE.MEMORY_MAX_BYTES) {
+      return;
+    }
+    
+    this.memory.set(id, body);
+    this.memoryBytes += body.length;
+    
+    while (this.memoryBytes > config.CACHE.MEMORY_MAX_BYTES || this.memory.size > config.CACHE.MAX_SIZE) {
+      const [oldestId, oldestBody] = this.memory.entries().next().value;
+      this.memory.delete(oldestId);
+      this.memoryBytes -= oldestBody.length;
+      
+      const entry = this.entries.get(oldestId);
+      if (entry && !entry.writing && !this.disk.has(oldestId)) {
+        this._removeEntry(oldestId);
+      }
+    }
+  }
+  
+  /**
+   * Write an entry file to the disk tier, evicting the least recently used
+   * files
+   * 
+   * The file holds a JSON metadata line followed by the body.
+   * 
+   * @param {object} entry - Cache entry
+   * @param {Buffer} body - Entry body
+   */
+  _writeToDisk(entry, body) {
+    if (!this.dir) {
+      return;
+    }
+    
+    // Each write gets its own file, so that a replaced entry still being
+    // written cannot overwrite or delete the file of its replacement
+    entry.file = `${entry.id}-${crypto.randomBytes(4).toString('hex')}${ENTRY_EXTENSION}`;
+    
+    const data = Buffer.concat([Buffer.from(JSON.stringify(entry) + '\n'), body]);
+    if (data.length > config.CACHE.DISK_MAX_BYTES) {
+      return;
+    }
+    
+    const file = path.join(this.dir, entry.file);
+    const tempFile = `${file}.tmp`;
+    
+    // Not enumerable, so it is left out of the metadata written to disk
+    Object.defineProperty(entry, 'writing', { value: true, writable: true });
+    
+    fs.promises.writeFile(tempFile, data)
+      .then(() => fs.promises.rename(tempFile, file))
+      .then(() => {
+        entry.writing = false;
+        
+        // The entry was replaced or evicted while it was being written
+        if (this.entries.get(entry.id) !== entry) {
+          return fs.promises.unlink(file).catch(() => {});
+        }
+        
+        this.disk.set(entry.id, data.length);
+        this.diskBytes += data.length;
+        this._evictDisk();
+        
+        if (!this.memory.has(entry.id) && !this.disk.has(entry.id)) {
+          this._removeEntry(entry.id);
+        }
+      })
+      .catch((error) => {
+        entry.writing = false;
+        console.error(`Failed to write HTTP cache entry for ${entry.key}:`, error.message);
+        fs.promises.unlink(tempFile).catch(() => {});
+        
+        if (!this.memory.has(entry.id)) {
+          this._removeEntry(entry.id);
+        }
+      });
+  }
+  
+  /**
+   * Evict the least recently used files of the disk tier beyond its size limit
+   */
+  _evictDisk() {
+    while (this.diskBytes > config.CACHE.DISK_MAX_BYTES) {
+      const [oldestId, size] = this.disk.entries().next().value;
+      this.disk.delete(oldestId);
+      this.diskBytes -= size;
+      fs.promises.unlink(path.join(this.dir, this.entries.get(oldestId).file)).catch(() => {});
+      
+      if (!this.memory.has(oldestId)) {
+        this._removeEntry(oldestId);
+      }
+    }
+  }
+  
+  /**
+   * Remove an entry from both tiers
+   * 
+   * @param {string} id - Entry id
+   */
+  _removeEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return;
+    }
+    
+    this.entries.delete(id);
+    
+    const ids = this.variants.get(entry.key);
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.variants.delete(entry.key);
+    }
+    
+    if (this.memory.has(id)) {
+      this.memoryBytes -= this.memory.get(id).length;
+      this.memory.delete(id);
+    }
+    
+    if (this.disk.has(id)) {
+      this.diskBytes -= this.disk.get(id);
+      this.disk.delete(id);
+      fs.promises.unlink(path.join(this.dir, entry.file)).catch(() => {});
+    }
+  }
+  
+  /**
+   * Removes every stored variant of a URL (after a write to it)
+   * 
+   * @param {string} key - Cache key (see getCacheKey)
+   */
+  invalidate(key) {
+    for (const id of this.variants.get(key) || []) {
+      this._removeEntry(id);
+    }
+  }
+  
+  /**
+   * Gets cache statistics
+   * 
+   * @returns {object} - Entry count and size of each tier
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      memory: { entries: this.memory.size, bytes: this.memoryBytes },
+      disk: { dir: this.dir, entries: this.disk.size, bytes: this.diskBytes }
+    };
+  }
+}
+
+// Export a singleton instance
+const httpCache = new HttpCache();
+
+module.exports = { httpCache };
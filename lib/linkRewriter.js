@@ -1,133 +1,510 @@
 /**
  * Link Rewriter Module
  * 
- * Handles rewriting of URLs in proxied HTML content to keep users within the proxy.
+ * Handles rewriting of URLs in proxied HTML content and stylesheets to keep
+ * users within the proxy.
  */
 
+const { Transform, pipeline } = require('stream');
 const { tokenStore } = require('./tokenStore');
-const { buildProxyUrl } = require('./utils');
+const { buildProxyUrl, extractOriginFromUrl, getTargetHost, getTargetOrigin, isTargetUrl, isPathInScope, copyResponseHead } = require('./utils');
+const { getContentEncoding, canDecode, createDecoder, negotiateEncoding, createEncoder, appendVary } = require('./contentEncoding');
 const { generateClientScript } = require('./clientScript');
+const { rewriteCss, createCssRewriteStream } = require('./cssRewriter');
+const { rewriteImportMap, rewriteAttributes } = require('./htmlAttributes');
+const { isSignedToken, createSignedToken } = require('./signedTokens');
+const { isDomainAllowed } = require('./domainMatcher');
+const { domainPolicy } = require('./domainPolicy');
+const { getHeaderCharset, setHeaderCharset, createCharsetDecoder, declareUtf8 } = require('./charset');
 const config = require('../config');
 
+/**
+ * URL schemes that are never rewritten
+ */
+const SPECIAL_URL_PATTERN = /^(#|javascript:|mailto:|tel:|data:|blob:|about:)/i;
+
+/**
+ * Longest incomplete tag held back between chunks
+ */
+const MAX_PENDING_SIZE = 64 * 1024;
+
+/**
+ * Elements whose content is rewritten as a whole, held back until their end
+ */
+const HELD_ELEMENTS = ['style', 'script'];
+
+/**
+ * Longest head held back while looking for a base tag
+ */
+const MAX_HEAD_SIZE = 256 * 1024;
+
+/**
+ * Gets the format of content whose links are rewritten
+ * 
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} - 'html', 'css', or null for other content
+ */
+function getRewrittenFormat(contentType) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (mediaType === 'text/html') {
+    return 'html';
+  }
+  return mediaType === 'text/css' ? 'css' : null;
+}
+
 /**
  * Determines if response should be processed for link rewriting
  * 
+ * Responses without a body and content compressed with an encoding we
+ * cannot decode are passed through untouched.
+ * 
  * @param {Object} proxyRes - Proxy response object
  * @returns {boolean} - Whether the response should be processed
  */
 function shouldProcessResponse(proxyRes) {
-  const contentType = proxyRes.headers['content-type'] || '';
-  return contentType.includes('text/html');
+  if (!getRewrittenFormat(proxyRes.headers['content-type'])) {
+    return false;
+  }
+  
+  if (proxyRes.req.method === 'HEAD' || proxyRes.statusCode === 204 || proxyRes.statusCode === 304) {
+    return false;
+  }
+  
+  return canDecode(getContentEncoding(proxyRes.headers));
 }
 
 /**
- * Creates middleware for rewriting links in HTML responses
+ * Checks whether URLs of a third-party host are proxied through tokens of
+ * their own (see config.THIRD_PARTY), which requires the domain policy to
+ * allow the host as well
  * 
- * @param {Object} targetInfo - Target domain information
- * @returns {Function} - Middleware for response processing
+ * @param {string} hostname - Host name of the URL
+ * @returns {boolean} - True if the host is proxied
  */
-function createResponseRewriter(targetInfo) {
-  return (proxyRes, req, res) => {
-    // Only process HTML responses
-    if (!shouldProcessResponse(proxyRes)) {
-      return false; // Don't modify response, let it pass through
+function isThirdPartyProxied(hostname) {
+  return config.THIRD_PARTY.ENABLED && isDomainAllowed(hostname, {
+    allow: config.THIRD_PARTY.ALLOW,
+    deny: config.THIRD_PARTY.DENY
+  }) && domainPolicy.isAllowed(hostname);
+}
+
+/**
+ * Gets the token proxying another origin than the current target, without
+ * creating a stored token: those are created by the proxy's home page,
+ * which charges them to the minting budget of the client (see
+ * buildConversionUrl)
+ * 
+ * Tokens derived from embed-only tokens are embed-only as well, and since
+ * stored tokens cannot be, embed-only pages only get signed tokens.
+ * 
+ * @param {object} origin - Origin ({ protocol, domain, port })
+ * @param {string} token - Token used for this proxy request
+ * @param {Object} targetInfo - Target domain information of the token
+ * @returns {string|null} - Token, signed with the same expiry if the
+ *   current token is signed and the origin can be signed, the stored token
+ *   of the origin otherwise, or null if it has none yet or the current
+ *   token is embed-only
+ */
+function getOriginToken(origin, token, targetInfo) {
+  if (isSignedToken(token)) {
+    try {
+      return createSignedToken(origin, targetInfo.expiresAt, { embedOnly: targetInfo.embedOnly });
+    } catch (error) {
+      // Hosts too long for a signed token, or signed tokens disabled since
+      // the page's token was minted
+      if (config.DEBUG) {
+        console.log(`No signed token for ${origin.domain}: ${error.message}`);
+      }
     }
+  }
+  
+  if (targetInfo.embedOnly) {
+    return null;
+  }
+  return tokenStore.findTokenForDomain(origin.domain, origin);
+}
 
-    // Get information needed for rewriting
-    const token = req.proxyToken; // Token should be attached to the request
-    const targetDomain = targetInfo.domain;
-    const targetProtocol = targetInfo.protocol;
-    const targetOrigin = `${targetProtocol}://${targetDomain}`;
+/**
+ * Builds the URL of the proxy's home page converting a URL to a token of its
+ * own, for origins that have no token yet
+ * 
+ * @param {URL} urlObj - URL to convert
+ * @param {string} pageToken - Token of the page the URL was found on, for
+ *   third-party URLs (omitted for redirects, converted like `/?url=`)
+ * @returns {string} - Conversion URL, keeping the fragment of the URL
+ */
+function buildConversionUrl(urlObj, pageToken) {
+  const url = urlObj.href.slice(0, urlObj.href.length - urlObj.hash.length);
+  const from = pageToken ? `&from=${encodeURIComponent(pageToken)}` : '';
+  return `https://${config.BASE_DOMAIN}/?url=${encodeURIComponent(url)}${from}${urlObj.hash}`;
+}
 
-    // Create streams to collect and modify response
-    let responseBody = '';
+/**
+ * Creates a function rewriting URLs found in a proxied page
+ * 
+ * URLs on the target host are turned into proxy URLs. For path-scoped
+ * tokens, URLs outside the token's path prefix point to the original site
+ * instead, since the proxy would refuse them. URLs on third-party hosts get
+ * tokens of their own when enabled (see config.THIRD_PARTY), through the
+ * proxy's home page when their origin has no token yet.
+ * 
+ * @param {Object} targetInfo - Target domain information
+ * @param {string} token - Token used for this proxy request
+ * @param {string} pagePath - Path of the page being rewritten
+ * @returns {Function} - Function mapping a URL to its rewritten form
+ */
+function createUrlRewriter(targetInfo, token, pagePath = '/') {
+  const targetOrigin = getTargetOrigin(targetInfo);
+  const pageUrl = new URL(pagePath, targetOrigin);
+  const pathPrefix = targetInfo.pathPrefix;
+  
+  // Maps a URL on the target host to the proxy, or to the original site
+  // when it is out of the token's scope
+  const rewriteTargetUrl = (urlObj, hash = urlObj.hash) => {
+    if (!isPathInScope(urlObj.pathname, pathPrefix)) {
+      return `${targetOrigin}${urlObj.pathname}${urlObj.search}${hash}`;
+    }
+    return buildProxyUrl(token, urlObj.pathname + urlObj.search + hash);
+  };
+  
+  // Tokens of the third-party origins of the page, so that each one is
+  // looked up once
+  const originTokens = new Map();
+  
+  // Maps a URL on a third-party host to the proxy, or returns null when
+  // the host is not proxied
+  const rewriteThirdPartyUrl = (urlObj) => {
+    const origin = extractOriginFromUrl(urlObj.href);
+    if (!origin || !isThirdPartyProxied(urlObj.hostname)) {
+      return null;
+    }
     
-    // Capture response data
-    proxyRes.on('data', (chunk) => {
-      responseBody += chunk.toString('utf8');
-    });
+    if (!originTokens.has(urlObj.origin)) {
+      originTokens.set(urlObj.origin, getOriginToken(origin, token, targetInfo));
+    }
     
-    // Process and send modified response
-    proxyRes.on('end', () => {
-      if (config.DEBUG) {
-        console.log(`Rewriting links in response from ${targetDomain}`);
+    // Embed-only pages keep third-party URLs they cannot sign as they are
+    const originToken = originTokens.get(urlObj.origin);
+    if (!originToken) {
+      return targetInfo.embedOnly ? null : buildConversionUrl(urlObj, token);
+    }
+    return buildProxyUrl(originToken, urlObj.pathname + urlObj.search + urlObj.hash);
+  };
+  
+  return (url) => {
+    const trimmed = url.trim();
+    
+    // Skip empty, special and already proxied URLs
+    if (!trimmed || SPECIAL_URL_PATTERN.test(trimmed) || trimmed.includes(config.BASE_DOMAIN)) {
+      return url;
+    }
+    
+    try {
+      // Absolute and protocol-relative URLs
+      if (/^(https?:)?\/\//i.test(trimmed)) {
+        const urlObj = new URL(trimmed, pageUrl);
+        if (isTargetUrl(urlObj, targetInfo)) {
+          return rewriteTargetUrl(urlObj);
+        }
+        return rewriteThirdPartyUrl(urlObj) || url;
       }
       
-      // Rewrite absolute URLs that point to the same domain
-      responseBody = responseBody.replace(
-        new RegExp(`(href|src)=["'](${targetProtocol}:)?//(www\\.)?${targetDomain.replace('.', '\\.')}([^"']*)["']`, 'gi'),
-        (match, attr, protocol, www, path) => {
-          return `${attr}="${buildProxyUrl(token, path)}"`;
-        }
-      );
+      // Other schemes are left alone
+      if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+        return url;
+      }
       
-      // Rewrite absolute paths (starting with /)
-      responseBody = responseBody.replace(
-        /\s(href|src)=["']\/([^"']*)["']/gi,
-        (match, attr, path) => {
-          return ` ${attr}="${buildProxyUrl(token, '/' + path)}"`;
-        }
-      );
+      // Absolute paths
+      if (trimmed.startsWith('/')) {
+        return rewriteTargetUrl(new URL(trimmed, targetOrigin));
+      }
       
-      // Rewrite form actions
-      responseBody = responseBody.replace(
-        /<form([^>]*)action=["']([^"']*)["']/gi,
-        (match, formAttrs, actionUrl) => {
-          // Skip already proxied URLs
-          if (actionUrl.includes(config.BASE_DOMAIN)) {
-            return match;
-          }
-          
-          // Handle absolute URLs
-          if (actionUrl.startsWith('http')) {
-            try {
-              const actionUrlObj = new URL(actionUrl);
-              // Only proxy URLs for the same domain
-              if (actionUrlObj.hostname === targetDomain || 
-                  actionUrlObj.hostname === `www.${targetDomain}`) {
-                return `<form${formAttrs}action="${buildProxyUrl(token, actionUrlObj.pathname + actionUrlObj.search)}"`;
-              }
-            } catch (e) {
-              // Invalid URL, leave it as is
-              return match;
-            }
-          } 
-          // Handle absolute paths
-          else if (actionUrl.startsWith('/')) {
-            return `<form${formAttrs}action="${buildProxyUrl(token, actionUrl)}"`;
-          }
-          
-          // Leave relative URLs as they are
-          return match;
-        }
-      );
+      // Relative paths are handled by the base tag, unless the token is
+      // scoped and they must be checked against the page's real location
+      if (pathPrefix) {
+        return rewriteTargetUrl(new URL(trimmed, pageUrl));
+      }
+    } catch (e) {
+      // Invalid URL, leave it as is
+    }
+    
+    return url;
+  };
+}
+
+/**
+ * Rewrites the Location header of a response so that redirects stay on the
+ * proxy
+ * 
+ * Redirects within the target origin keep the current token, unless they
+ * leave its path scope and go to the original site. Redirects to another
+ * origin, such as an SSO provider or the www. variant of the site, get a
+ * token of their own (signed if the current token is signed), created by
+ * the proxy's home page when they have none yet, or go to the original site
+ * when they may not be proxied.
+ * 
+ * @param {string} location - Location header of the upstream response
+ * @param {Object} targetInfo - Target domain information
+ * @param {string} token - Token used for this proxy request
+ * @param {string} requestPath - Path and query of the upstream request
+ * @returns {string} - Rewritten location
+ */
+function rewriteRedirectLocation(location, targetInfo, token, requestPath) {
+  const targetOrigin = getTargetOrigin(targetInfo);
+  
+  let urlObj;
+  try {
+    // Relative locations are resolved against the request URL
+    urlObj = new URL(location, targetOrigin + requestPath);
+  } catch (e) {
+    return location;
+  }
+  
+  const pathAndQuery = urlObj.pathname + urlObj.search + urlObj.hash;
+  
+  if (urlObj.origin === targetOrigin) {
+    return isPathInScope(urlObj.pathname, targetInfo.pathPrefix) ? buildProxyUrl(token, pathAndQuery) : urlObj.href;
+  }
+  
+  // Other schemes and URLs already on the proxy are left alone
+  const origin = extractOriginFromUrl(urlObj.href);
+  const hostname = urlObj.hostname.toLowerCase();
+  if (!origin || hostname === config.BASE_DOMAIN || hostname.endsWith(`.${config.BASE_DOMAIN}`)) {
+    return location;
+  }
+  
+  // Sites that may not be proxied are reached directly
+  if (!domainPolicy.isAllowed(origin.domain)) {
+    return urlObj.href;
+  }
+  
+  let redirectToken;
+  try {
+    redirectToken = getOriginToken(origin, token, targetInfo);
+  } catch (error) {
+    // Leave the proxy rather than fail the response
+    console.error(`Could not proxy the redirect to ${urlObj.origin}:`, error.message);
+    return urlObj.href;
+  }
+  
+  if (!redirectToken) {
+    // Embed-only pages leave for the original site rather than get an
+    // unrestricted token
+    return targetInfo.embedOnly ? urlObj.href : buildConversionUrl(urlObj);
+  }
+  
+  if (config.DEBUG) {
+    console.log(`Redirect to ${urlObj.origin} from ${targetOrigin}, proxied with token: ${redirectToken}`);
+  }
+  
+  return buildProxyUrl(redirectToken, pathAndQuery);
+}
+
+/**
+ * Rewrites the URLs of a piece of HTML: those of the attributes of its tags
+ * (see rewriteAttributes), of its <style> blocks and of its import maps
+ * 
+ * @param {string} html - HTML made of complete tags and <style>/<script> blocks
+ * @param {Function} rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @returns {string} - Rewritten HTML
+ */
+function rewriteHtml(html, rewriteUrl) {
+  // Rewrite stylesheets embedded in the page
+  html = html.replace(
+    /(<style(?:\s[^>]*)?>)([\s\S]*?)(<\/style\s*>)/gi,
+    (match, open, css, close) => `${open}${rewriteCss(css, rewriteUrl)}${close}`
+  );
+  
+  // Rewrite module URLs of import maps
+  html = html.replace(
+    /(<script\s[^>]*type\s*=\s*["']?importmap["'\s>][^>]*>)([\s\S]*?)(<\/script\s*>)/gi,
+    (match, open, json, close) => `${open}${rewriteImportMap(json, rewriteUrl)}${close}`
+  );
+  
+  // Rewrite the attributes of every tag, quoted values possibly containing ">"
+  return html.replace(
+    /<([a-zA-Z][^\s\/>]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/g,
+    (match, tagName, attributes) => `<${tagName}${rewriteAttributes(tagName, attributes, rewriteUrl)}>`
+  );
+}
+
+/**
+ * Adds a base tag after the opening head tag, unless the head has one
+ * 
+ * @param {string} head - HTML up to the end of the head
+ * @param {string} baseHref - URL of the base tag
+ * @returns {string} - HTML with the base tag
+ */
+function injectBaseTag(head, baseHref) {
+  if (/<base\s+[^>]*>/i.test(head)) {
+    return head;
+  }
+  
+  return head.replace(/<head(\s[^>]*)?>/i, (match) => `${match}\n<base href="${baseHref}">\n`);
+}
+
+/**
+ * Creates a stream rewriting HTML as it flows through
+ * 
+ * The page is decoded from its own charset and always sent as UTF-8, with
+ * its <meta> charset declarations updated to match. Chunks are cut before
+ * any incomplete tag or <style>/<script> block, so that attributes, embedded
+ * stylesheets and import maps are always rewritten whole. Only the head is held back until
+ * its end is seen, to know whether the page has its own base tag.
+ * 
+ * @param {object} options - Rewriting options
+ * @param {Function} options.rewriteUrl - URL rewriter (see createUrlRewriter)
+ * @param {string} options.baseHref - URL of the base tag to add
+ * @param {string} options.clientScript - Script injected before </body>
+ * @param {string} options.charset - Charset of the Content-Type header, if any
+ * @returns {Transform} - HTML rewriting stream
+ */
+function createHtmlRewriteStream({ rewriteUrl, baseHref, clientScript, charset }) {
+  const decode = createCharsetDecoder(charset);
+  
+  // Text received but not processed yet (an incomplete tag)
+  let pending = '';
+  // Processed text held back until the end of the head
+  let head = '';
+  let headDone = false;
+  let scriptInjected = false;
+  
+  // Sends processed HTML, injecting the base tag and client script on the way
+  const emit = (stream, html, final) => {
+    if (!headDone) {
+      head += html;
+      const headEnd = head.search(/<\/head\s*>|<body[\s>]/i);
+      if (headEnd === -1 && !final && head.length < MAX_HEAD_SIZE) {
+        return;
+      }
       
-      // Add a base tag to help with relative URLs
-      const baseTagExists = /<base\s+[^>]*>/i.test(responseBody);
-      if (!baseTagExists) {
-        responseBody = responseBody.replace(
-          /<head[^>]*>/i,
-          (match) => {
-            return `${match}\n<base href="${buildProxyUrl(token, '/')}">\n`;
-          }
-        );
+      html = injectBaseTag(declareUtf8(head), baseHref);
+      head = '';
+      headDone = true;
+    }
+    
+    if (!scriptInjected) {
+      const bodyEnd = html.search(/<\/body\s*>/i);
+      if (bodyEnd !== -1) {
+        html = `${html.slice(0, bodyEnd)}${clientScript}\n${html.slice(bodyEnd)}`;
+        scriptInjected = true;
       }
+    }
+    
+    if (html) {
+      stream.push(html, 'utf8');
+    }
+  };
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      pending += decode(chunk, false);
       
-      // Generate client-side interceptor script
-      const clientScript = generateClientScript(token, config.BASE_DOMAIN, targetDomain);
+      // Keep an incomplete tag for the next chunk, unless it is so long it
+      // is probably not a tag at all (e.g. a "<" in a script)
+      let cut = pending.length;
+      const lastOpen = pending.lastIndexOf('<');
+      if (lastOpen !== -1 && pending.indexOf('>', lastOpen) === -1 &&
+          pending.length - lastOpen < MAX_PENDING_SIZE) {
+        cut = lastOpen;
+      }
       
-      // Inject the script before the closing </body> tag
-      const hasBodyEnd = responseBody.includes('</body>');
-      if (hasBodyEnd) {
-        responseBody = responseBody.replace('</body>', `${clientScript}\n</body>`);
-      } else {
-        // If no </body> tag found, append to the end
-        responseBody += clientScript;
+      // Likewise keep <style> and <script> blocks until their end
+      const lowerPending = pending.toLowerCase();
+      for (const element of HELD_ELEMENTS) {
+        const lastStart = lowerPending.lastIndexOf(`<${element}`);
+        if (lastStart !== -1 && lowerPending.indexOf(`</${element}`, lastStart) === -1 &&
+            pending.length - lastStart < MAX_PENDING_SIZE) {
+          cut = Math.min(cut, lastStart);
+        }
       }
       
-      // Set correct content length and send the modified response
-      res.setHeader('content-length', Buffer.byteLength(responseBody));
-      res.end(responseBody);
+      const ready = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      
+      emit(this, rewriteHtml(ready, rewriteUrl), false);
+      callback();
+    },
+    
+    flush(callback) {
+      pending += decode(Buffer.alloc(0), true);
+      emit(this, rewriteHtml(pending, rewriteUrl), true);
+      
+      // If no </body> tag was found, append to the end
+      if (!scriptInjected) {
+        this.push(clientScript, 'utf8');
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Creates middleware for rewriting links in HTML and CSS responses
+ * 
+ * @param {Object} targetInfo - Target domain information
+ * @returns {Function} - Middleware for response processing
+ */
+function createResponseRewriter(targetInfo) {
+  return (proxyRes, req, res) => {
+    // Only process HTML and CSS responses
+    if (!shouldProcessResponse(proxyRes)) {
+      return false; // Don't modify response, let it pass through
+    }
+    
+    // The rewritten content is streamed, so its length is not known upfront,
+    // and it is compressed again according to what the client accepts
+    const upstreamEncoding = getContentEncoding(proxyRes.headers);
+    const clientEncoding = negotiateEncoding(req.headers['accept-encoding']);
+    
+    copyResponseHead(proxyRes, res, ['content-length', 'content-encoding']);
+    
+    // The content is sent as UTF-8 whatever its original charset
+    res.setHeader('content-type', setHeaderCharset(proxyRes.headers['content-type'], 'utf-8'));
+    
+    if (clientEncoding) {
+      res.setHeader('content-encoding', clientEncoding);
+    }
+    appendVary(res, 'Accept-Encoding');
+
+    // Get information needed for rewriting
+    const token = req.proxyToken; // Token should be attached to the request
+    const targetHost = getTargetHost(targetInfo);
+    const format = getRewrittenFormat(proxyRes.headers['content-type']);
+    
+    if (config.DEBUG) {
+      console.log(`Rewriting links in ${format} response from ${targetHost}`);
+    }
+    
+    // URLs in stylesheets are relative to the stylesheet itself
+    const rewriteUrl = createUrlRewriter(targetInfo, token, req.path);
+    const charset = getHeaderCharset(proxyRes.headers['content-type']);
+    
+    const rewriter = format === 'css' ? createCssRewriteStream({ rewriteUrl, charset }) : createHtmlRewriteStream({
+      rewriteUrl,
+      baseHref: buildProxyUrl(token, '/'),
+      charset,
+      // Client-side interceptor script
+      clientScript: generateClientScript(token, config.BASE_DOMAIN, targetHost, {
+        targetOrigin: getTargetOrigin(targetInfo),
+        pathPrefix: targetInfo.pathPrefix,
+        thirdParty: config.THIRD_PARTY.ENABLED
+      })
+    });
+    
+    // Stream the rewritten page to the client as the upstream sends it
+    const streams = [
+      proxyRes,
+      createDecoder(upstreamEncoding),
+      rewriter,
+      clientEncoding ? createEncoder(clientEncoding) : null,
+      res
+    ].filter(Boolean);
+    
+    pipeline(...streams, (error) => {
+      if (error && config.DEBUG) {
+        console.error(`Error streaming rewritten response from ${targetHost}:`, error.message);
+      }
     });
     
     // Return true to indicate we're handling the response
@@ -136,6 +513,12 @@ function createResponseRewriter(targetInfo) {
 }
 
 module.exports = {
+  getRewrittenFormat,
   createResponseRewriter,
+  createHtmlRewriteStream,
+  createUrlRewriter,
+  rewriteRedirectLocation,
+  isThirdPartyProxied,
+  getOriginToken,
   shouldProcessResponse
-};
\ No newline at end of file
+};
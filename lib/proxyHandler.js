@@ -4,10 +4,20 @@
  * Handles proxy requests for subdomains.
  */
 
+const http = require('http');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const { tokenStore } = require('./tokenStore');
-const { renderErrorPage } = require('./utils');
-const { createResponseRewriter } = require('./linkRewriter');
+const { renderErrorPage, getTargetHost, getTargetOrigin, isPathInScope, copyResponseHead } = require('./utils');
+const { getRewrittenFormat, createResponseRewriter, rewriteRedirectLocation } = require('./linkRewriter');
+const { isSignedToken, verifySignedToken } = require('./signedTokens');
+const { trackResponse } = require('./analytics');
+const { httpCache } = require('./httpCache');
+const { rewriteSetCookieHeaders } = require('./cookies');
+const { headerPolicy } = require('./headerPolicy');
+const { checkHost, getAgent } = require('./ssrfGuard');
+const { domainPolicy } = require('./domainPolicy');
+const { rateLimiter, getClientIp } = require('./rateLimiter');
+const { applyEmbedGrant } = require('./embedLinks');
 const config = require('../config');
 
 // Cache pour éviter de vérifier le token pour chaque ressource de la même page
@@ -26,127 +36,472 @@ function createProxyMiddleware2(targetInfo, token) {
     throw new Error('Invalid target info: missing domain');
   }
   
+  const targetOrigin = getTargetOrigin(targetInfo);
+  const targetHost = getTargetHost(targetInfo);
+  
   return createProxyMiddleware({
-    target: `${targetInfo.protocol}://${targetInfo.domain}`,
+    target: targetOrigin,
     changeOrigin: true,
     secure: false,
-    followRedirects: true,
-    selfHandleResponse: false, // Enable response handling for link rewriting
+    selfHandleResponse: true, // The response is piped (or rewritten) in the proxyRes handler
+    agent: getAgent(targetInfo.protocol), // Refuses private and internal addresses
     timeout: 20000, // Set a reasonable timeout (20 seconds)
     proxyTimeout: 20000, // Same for proxy timeout
     
-    onProxyReq: (proxyReq, req, res) => {
-      // Store token in request object for the response handler
-      req.proxyToken = token;
-      
-      // Set standard headers
-      proxyReq.setHeader('User-Agent', config.USER_AGENT || 'Mozilla/5.0 ProxyWarp/1.0');
-      proxyReq.setHeader('Referer', `${targetInfo.protocol}://${targetInfo.domain}/`);
-      proxyReq.setHeader('Host', targetInfo.domain);
-      
-      // Remove proxy-specific headers
-      proxyReq.removeHeader('x-forwarded-host');
-      proxyReq.removeHeader('x-forwarded-proto');
-      
-      // Start a timer to track request time
-      req._proxyStart = Date.now();
-      
-      if (config.DEBUG) {
-        console.log(`[${Date.now()}] Proxy request started: ${req.method} ${req.path} -> ${targetInfo.domain} (token: ${token})`);
-        // Log all headers being sent
-        console.log(`Request headers sent to ${targetInfo.domain}:`, proxyReq._headers);
-      }
-    },
-    
-    onProxyRes: (proxyRes, req, res) => {
-      // Calculate request time
-      const requestTime = Date.now() - (req._proxyStart || Date.now());
-      
-      // First handle security headers
-      // Remove security headers that prevent embedding
-      delete proxyRes.headers['x-frame-options'];
-      delete proxyRes.headers['X-Frame-Options'];
-      delete proxyRes.headers['content-security-policy'];
-      delete proxyRes.headers['Content-Security-Policy'];
-      delete proxyRes.headers['content-security-policy-report-only'];
-      delete proxyRes.headers['feature-policy'];
-      delete proxyRes.headers['permissions-policy'];
-
-      
-      // Add permissive CORS headers
-      proxyRes.headers['access-control-allow-origin'] = '*';
-      proxyRes.headers['access-control-allow-methods'] = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
-      proxyRes.headers['access-control-allow-headers'] = 'Origin, X-Requested-With, Content-Type, Accept, Authorization';
-      proxyRes.headers['access-control-allow-credentials'] = 'true';
-      
-
-      proxyRes.headers['x-frame-options'] = 'ALLOWALL';
-      
-      if (config.DEBUG) {
-        console.log(`[${Date.now()}] Proxy response received: ${req.method} ${req.path} -> ${proxyRes.statusCode} (time: ${requestTime}ms)`);
-        console.log(`Response headers from ${targetInfo.domain}:`, proxyRes.headers);
-      }
+    on: {
+      proxyReq: (proxyReq, req, res) => {
+        // Store token in request object for the response handler
+        req.proxyToken = token;
+        
+        // Set standard headers
+        proxyReq.setHeader('User-Agent', config.USER_AGENT || 'Mozilla/5.0 ProxyWarp/1.0');
+        proxyReq.setHeader('Referer', `${targetOrigin}/`);
+        proxyReq.setHeader('Host', targetHost);
+        
+        // Apply the header rules (the default ones remove proxy-specific
+        // headers)
+        headerPolicy.applyToRequest(proxyReq, req, targetInfo, token);
+        
+        // Revalidate a stale cached response rather than downloading it again
+        // (the client's own conditions are checked against the cached copy)
+        if (req.cacheEntry) {
+          const { etag, 'last-modified': lastModified } = req.cacheEntry.headers;
+          proxyReq.removeHeader('if-none-match');
+          proxyReq.removeHeader('if-modified-since');
+          if (etag) proxyReq.setHeader('If-None-Match', etag);
+          if (lastModified) proxyReq.setHeader('If-Modified-Since', lastModified);
+        }
+        
+        // Start a timer to track request time
+        req._proxyStart = Date.now();
+        
+        if (config.DEBUG) {
+          console.log(`[${Date.now()}] Proxy request started: ${req.method} ${req.path} -> ${targetOrigin} (token: ${token})`);
+          // Log all headers being sent
+          console.log(`Request headers sent to ${targetHost}:`, proxyReq.getHeaders());
+        }
+      },
       
-      // Apply response rewriter for HTML content
-      const contentType = proxyRes.headers['content-type'] || '';
-      if (contentType.includes('text/html')) {
+      proxyRes: (proxyRes, req, res) => {
+        // Calculate request time
+        const requestTime = Date.now() - (req._proxyStart || Date.now());
+        
+        // Gather usage statistics for the token
+        trackResponse(req, res, token);
+        
+        // The cache keeps the headers of the origin, shared by every token
+        const upstreamHeaders = { ...proxyRes.headers };
+        
+        // Apply the header rules (the default ones remove the security
+        // headers that prevent embedding and allow any origin)
+        headerPolicy.applyToResponse(proxyRes, targetInfo, token);
+        
+        // Bind cookies to the token subdomain instead of the target's domain
+        rewriteSetCookieHeaders(proxyRes.headers, targetInfo);
+        
+        // Redirects are passed to the browser, so that its URL follows them,
+        // with their location pointing at the proxy
+        if (proxyRes.headers.location) {
+          proxyRes.headers.location = rewriteRedirectLocation(proxyRes.headers.location, targetInfo, token, req.url);
+        }
+        
         if (config.DEBUG) {
-          console.log(`Rewriting HTML content for ${req.path}`);
+          console.log(`[${Date.now()}] Proxy response received: ${req.method} ${req.path} -> ${proxyRes.statusCode} (time: ${requestTime}ms)`);
+          console.log(`Response headers from ${targetHost}:`, proxyRes.headers);
         }
         
-        const responseRewriter = createResponseRewriter(targetInfo);
-        const handled = responseRewriter(proxyRes, req, res);
+        // The origin confirmed that the cached copy is still valid
+        if (req.cacheEntry && proxyRes.statusCode === 304) {
+          proxyRes.resume();
+          httpCache.revalidate(req.cacheEntry, upstreamHeaders);
+          return httpCache.send(req.cacheEntry, req.cacheBody, req, res, 'REVALIDATED',
+            getCachedResponseHeaders(req.cacheEntry, targetInfo, token));
+        }
         
-        if (!handled) {
+        // Successful writes make the cached copies of the URL outdated
+        if (req.cacheKey && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && proxyRes.statusCode < 400) {
+          httpCache.invalidate(req.cacheKey);
+        }
+        
+        // Apply response rewriter for HTML and CSS content
+        const contentType = proxyRes.headers['content-type'] || '';
+        if (getRewrittenFormat(contentType)) {
+          if (config.DEBUG) {
+            console.log(`Rewriting ${getRewrittenFormat(contentType)} content for ${req.path}`);
+          }
+          
+          // The rewriter sends its own headers, as the content length and
+          // encoding change
+          const responseRewriter = createResponseRewriter(targetInfo);
+          const handled = responseRewriter(proxyRes, req, res);
+          
+          if (!handled) {
+            if (config.DEBUG) {
+              console.log(`Rewriter didn't handle the response, piping directly`);
+            }
+            copyResponseHead(proxyRes, res);
+            proxyRes.pipe(res);
+          }
+        } else {
+          // For other content, just pipe the response
           if (config.DEBUG) {
-            console.log(`HTML rewriter didn't handle the response, piping directly`);
+            console.log(`Passing through content (${contentType}) for ${req.path}`);
+          }
+          if (req.cacheKey && httpCache.capture(req.cacheKey, req, proxyRes, upstreamHeaders)) {
+            res.setHeader('x-proxywarp-cache', 'MISS');
           }
+          copyResponseHead(proxyRes, res);
           proxyRes.pipe(res);
         }
-      } else {
-        // For non-HTML content, just pipe the response
-        if (config.DEBUG) {
-          console.log(`Passing through non-HTML content (${contentType}) for ${req.path}`);
+      },
+      
+      // Error handling with detailed logging
+      error: (err, req, res) => {
+        // The target resolved to a private or internal address
+        if (err.code === 'BLOCKED_DESTINATION' && !res.headersSent) {
+          return sendBlockedDestinationPage(res, err);
+        }
+        
+        const requestTime = Date.now() - (req._proxyStart || Date.now());
+        
+        console.error(`[${Date.now()}] Proxy error after ${requestTime}ms: ${req.method} ${req.path} -> ${err.message}`);
+        console.error('Error details:', err);
+        console.error('Request headers:', req.headers);
+        
+        if (!res.headersSent) {
+          try {
+            res.status(502).send(renderErrorPage('Proxy Error', 
+              'An error occurred while connecting to the requested site.',
+              `Error: ${err.message}\nTime: ${requestTime}ms\nTarget: ${targetOrigin}`));
+          } catch (responseError) {
+            console.error('Failed to send error page:', responseError);
+          }
+        } else {
+          console.warn('Headers already sent, cannot send error page');
+          // Try to end the response if possible
+          try {
+            res.end();
+          } catch (endError) {
+            console.error('Failed to end response:', endError);
+          }
         }
-        proxyRes.pipe(res);
       }
-    },
+    }
+  });
+}
+
+/**
+ * Creates a proxy for WebSocket upgrades to a target domain
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @param {string} token - Token used for this proxy request
+ * @returns {function} - Configured proxy middleware (see its upgrade method)
+ */
+function createWebSocketProxy(targetInfo, token) {
+  const targetOrigin = getTargetOrigin(targetInfo);
+  
+  return createProxyMiddleware({
+    target: targetOrigin,
+    changeOrigin: true,
+    secure: false,
+    ws: true,
+    agent: getAgent(targetInfo.protocol),
     
-    // Error handling with detailed logging
-    onError: (err, req, res) => {
-      const requestTime = Date.now() - (req._proxyStart || Date.now());
-      
-      console.error(`[${Date.now()}] Proxy error after ${requestTime}ms: ${req.method} ${req.path} -> ${err.message}`);
-      console.error('Error details:', err);
-      console.error('Request headers:', req.headers);
-      
-      if (!res.headersSent) {
-        try {
-          res.status(502).send(renderErrorPage('Proxy Error', 
-            'An error occurred while connecting to the requested site.',
-            `Error: ${err.message}\nTime: ${requestTime}ms\nTarget: ${targetInfo.domain}`));
-        } catch (responseError) {
-          console.error('Failed to send error page:', responseError);
-        }
-      } else {
-        console.warn('Headers already sent, cannot send error page');
-        // Try to end the response if possible
-        try {
-          res.end();
-        } catch (endError) {
-          console.error('Failed to end response:', endError);
+    on: {
+      proxyReqWs: (proxyReq, req, socket) => {
+        // Servers commonly refuse WebSockets opened from another origin
+        proxyReq.setHeader('Origin', targetOrigin);
+        proxyReq.setHeader('User-Agent', config.USER_AGENT || 'Mozilla/5.0 ProxyWarp/1.0');
+        
+        if (config.DEBUG) {
+          console.log(`[${Date.now()}] WebSocket upgrade: ${req.url} -> ${targetOrigin} (token: ${token})`);
         }
+      },
+      
+      error: (err, req, socket) => {
+        console.error(`[${Date.now()}] WebSocket proxy error: ${req.url} -> ${targetOrigin}: ${err.message}`);
+        // The connection may already be upgraded, so no response can be sent
+        socket.destroy();
       }
     }
   });
 }
 
+/**
+ * Refuses a WebSocket upgrade with an HTTP error response
+ * 
+ * @param {object} socket - Client socket
+ * @param {number} statusCode - HTTP status code
+ * @param {object} headers - Additional response headers
+ */
+function rejectUpgrade(socket, statusCode, headers = {}) {
+  if (socket.writable) {
+    const extraHeaders = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n${extraHeaders}Connection: close\r\nContent-Length: 0\r\n\r\n`);
+  }
+  socket.destroy();
+}
+
+/**
+ * Gets the proxied traffic budgets of a request on a token subdomain
+ * 
+ * @param {object} req - Express or raw HTTP request
+ * @param {string} token - Token used for the request
+ * @returns {object[]} - Rate limits (see rateLimiter.consume)
+ */
+function getProxyLimits(req, token) {
+  return [
+    { bucket: 'PROXY_CLIENT', key: `ip:${getClientIp(req)}` },
+    { bucket: 'PROXY_TOKEN', key: token }
+  ];
+}
+
+/**
+ * Sends the error page for a target on a private or internal address
+ * 
+ * @param {object} res - Express response
+ * @param {Error} error - Error with code BLOCKED_DESTINATION
+ */
+function sendBlockedDestinationPage(res, error) {
+  res.status(403).send(renderErrorPage('Destination Blocked',
+    `ProxyWarp does not connect to <strong>${error.hostname}</strong>, which is a private or internal address.`,
+    `Address: ${error.address}`));
+}
+
+/**
+ * Sends the error page for a target the domain policy does not allow
+ * 
+ * @param {object} res - Express response
+ * @param {object} targetInfo - Target domain information
+ */
+function sendDomainNotAllowedPage(res, targetInfo) {
+  res.status(403).send(renderErrorPage('Domain Not Allowed',
+    `This ProxyWarp instance is not allowed to proxy <strong>${targetInfo.domain}</strong>.`));
+}
+
+/**
+ * Normalizes the path of a request and checks it against the path scope of
+ * the token
+ * 
+ * Normalizing first means dot segments cannot be used to reach paths outside
+ * the scope, and the normalized path is what gets forwarded upstream.
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @param {string} token - Token used for the request
+ * @param {object} req - Client request (req.url is normalized in place)
+ * @returns {boolean} - True if the request may be proxied
+ */
+function isRequestInScope(targetInfo, token, req) {
+  const url = new URL(req.url, 'http://localhost');
+  req.url = url.pathname + url.search;
+  
+  if (!targetInfo.pathPrefix) {
+    return true;
+  }
+  
+  // Encoded slashes could be decoded upstream into a path outside the scope
+  const hasEncodedSlash = /%2f|%5c/i.test(url.pathname);
+  
+  if (hasEncodedSlash || !isPathInScope(url.pathname, targetInfo.pathPrefix)) {
+    if (config.DEBUG) {
+      console.log(`[${Date.now()}] Refusing ${url.pathname} outside of scope ${targetInfo.pathPrefix} for token: ${token}`);
+    }
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Gets the headers of a cached response for a token: entries keep the
+ * headers of the origin, and the token's header rules are applied to a copy
+ * 
+ * @param {object} entry - Cache entry
+ * @param {object} targetInfo - Target domain information
+ * @param {string} token - Token used for the request
+ * @returns {object} - Headers to send
+ */
+function getCachedResponseHeaders(entry, targetInfo, token) {
+  const response = { statusCode: entry.statusCode, headers: { ...entry.headers } };
+  headerPolicy.applyToResponse(response, targetInfo, token);
+  rewriteSetCookieHeaders(response.headers, targetInfo);
+  return response.headers;
+}
+
+/**
+ * Proxies a request to a target, enforcing the path scope of the token
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @param {string} token - Token used for the request
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function proxyRequest(targetInfo, token, req, res, next) {
+  // The domain lists may have changed since the token was minted
+  if (!domainPolicy.isAllowed(targetInfo.domain)) {
+    return sendDomainNotAllowedPage(res, targetInfo);
+  }
+  
+  if (!isRequestInScope(targetInfo, token, req)) {
+    return res.status(403).send(renderErrorPage('Outside Token Scope',
+      `The token <strong>${token}</strong> only gives access to <strong>${targetInfo.pathPrefix}</strong> on ${getTargetHost(targetInfo)}.`,
+      `Requested path: ${req.path}`));
+  }
+  
+  // Targets given as private or internal IP addresses are refused upfront,
+  // host names are checked when resolved
+  const blocked = checkHost(targetInfo.domain);
+  if (blocked) {
+    return sendBlockedDestinationPage(res, blocked);
+  }
+  
+  // Only let the parent origins of the embed link, if any, frame the response
+  if (!applyEmbedGrant(req, res, token, targetInfo)) {
+    return;
+  }
+  
+  // Count the request against the token's usage limit, if any, which
+  // other requests may have used up since the token was resolved
+  if (!tokenStore.recordRequest(token)) {
+    const status = tokenStore.getTokenStatus(token);
+    return sendEndedTokenPage(res, token, ENDED_TOKEN_PAGES[status] ? status : 'exhausted');
+  }
+  
+  const forward = () => createProxyMiddleware2(targetInfo, token)(req, res, next);
+  if (!httpCache.enabled) {
+    return forward();
+  }
+  
+  req.cacheKey = httpCache.getCacheKey(targetInfo, req);
+  const entry = httpCache.lookup(req.cacheKey, req);
+  if (!entry) {
+    return forward();
+  }
+  
+  httpCache.readBody(entry).then((body) => {
+    if (!body) {
+      return forward();
+    }
+    
+    if (httpCache.isFresh(entry, req)) {
+      trackResponse(req, res, token);
+      return httpCache.send(entry, body, req, res, 'HIT', getCachedResponseHeaders(entry, targetInfo, token));
+    }
+    
+    // Stale: ask the origin whether the cached copy is still valid, keeping
+    // its body in case it is
+    req.cacheEntry = entry;
+    req.cacheBody = body;
+    forward();
+  }).catch((error) => {
+    // e.g. a header value refused by Node, or a response already started
+    console.error(`[${Date.now()}] Cached response error: ${req.method} ${req.path} -> ${error.message}`);
+    if (!res.headersSent) {
+      res.status(502).send(renderErrorPage('Proxy Error',
+        'An error occurred while serving the requested page.',
+        `Error: ${error.message}`));
+    } else {
+      res.destroy();
+    }
+  });
+}
+
+/**
+ * Error pages for tokens that exist but can no longer be used
+ */
+const ENDED_TOKEN_PAGES = {
+  expired: {
+    title: 'Token Expired',
+    message: (token) => `The token <strong>${token}</strong> has expired.`
+  },
+  revoked: {
+    title: 'Token Revoked',
+    message: (token) => `The token <strong>${token}</strong> has been revoked.`
+  },
+  exhausted: {
+    title: 'Token Usage Limit Reached',
+    message: (token) => `The token <strong>${token}</strong> has reached its maximum number of requests.`
+  }
+};
+
+/**
+ * Sends the error page for an expired, revoked or exhausted token
+ * 
+ * @param {object} res - Express response
+ * @param {string} token - Token used for the request
+ * @param {string} status - Token lifecycle status
+ * @returns {boolean} - True if a page was sent (the token is not usable)
+ */
+function sendEndedTokenPage(res, token, status) {
+  const page = ENDED_TOKEN_PAGES[status];
+  if (!page) {
+    return false;
+  }
+  
+  res.status(410).send(renderErrorPage(page.title, page.message(token),
+    'Please ask the owner of this embed for a new link.'));
+  return true;
+}
+
+/**
+ * Gets the target of a signed token if it is valid and not expired
+ * 
+ * @param {string} token - Signed token
+ * @returns {object|null} - Target domain information or null
+ */
+function getSignedTargetInfo(token) {
+  const { status, info } = verifySignedToken(token);
+  return status === 'active' ? info : null;
+}
+
+/**
+ * Proxies a request made with a signed token
+ * 
+ * @param {string} token - Signed token
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+function handleSignedToken(token, req, res, next) {
+  const { status, info } = verifySignedToken(token);
+  
+  if (status === 'invalid') {
+    if (config.DEBUG) {
+      console.log(`[${Date.now()}] Invalid signed token: ${token}`);
+    }
+    return res.status(400).send(renderErrorPage('Invalid Token',
+      `The token <strong>${token}</strong> has an invalid signature.`,
+      'Please visit the homepage to generate a valid token.'));
+  }
+  
+  if (sendEndedTokenPage(res, token, status)) {
+    return;
+  }
+  
+  if (config.DEBUG) {
+    console.log(`[${Date.now()}] Proxying signed token to ${getTargetOrigin(info)}`);
+  }
+  
+  return proxyRequest(info, token, req, res, next);
+}
+
 /**
  * Setup proxy handler middleware
  * 
  * @param {object} app - Express application
  */
 function setupProxyHandler(app) {
+  // Throttle proxied traffic per client and per token, including requests
+  // for unknown or ended tokens
+  app.use(rateLimiter.limit((req) => {
+    const host = req.headers.host;
+    if (!host || !host.endsWith(`.${config.BASE_DOMAIN}`)) {
+      return [];
+    }
+    return getProxyLimits(req, host.replace(`.${config.BASE_DOMAIN}`, ''));
+  }, 'html'));
+  
   app.use((req, res, next) => {
     const host = req.headers.host;
     
@@ -166,6 +521,11 @@ function setupProxyHandler(app) {
       console.log(`[${Date.now()}] Processing subdomain request with token: ${token}`);
     }
     
+    // Refuse tokens that have expired, been revoked or used up
+    if (sendEndedTokenPage(res, token, tokenStore.getTokenStatus(token))) {
+      return;
+    }
+    
     // Add request timeout to prevent hanging requests
     const requestTimeout = setTimeout(() => {
       console.error(`[${Date.now()}] Request timeout for token: ${token}, path: ${req.path}`);
@@ -180,6 +540,11 @@ function setupProxyHandler(app) {
     res.on('finish', () => {
       clearTimeout(requestTimeout);
     });
+    
+    // Signed tokens carry their target and are verified without the token store
+    if (isSignedToken(token)) {
+      return handleSignedToken(token, req, res, next);
+    }
 
     // Check if we have a cached target info for this token
     const cacheKey = `token:${token}`;
@@ -187,15 +552,21 @@ function setupProxyHandler(app) {
     
     if (cachedTargetInfo) {
       if (config.DEBUG) {
-        console.log(`[${Date.now()}] Using cached target info for token: ${token} -> ${cachedTargetInfo.domain}`);
+        console.log(`[${Date.now()}] Using cached target info for token: ${token} -> ${getTargetOrigin(cachedTargetInfo)}`);
       }
-      return createProxyMiddleware2(cachedTargetInfo, token)(req, res, next);
+      return proxyRequest(cachedTargetInfo, token, req, res, next);
     }
     
     // Get target info from token
     const targetInfo = tokenStore.getDomainInfoFromToken(token);
     
     if (!targetInfo) {
+      // The token may have just been loaded from storage and found unusable
+      if (sendEndedTokenPage(res, token, tokenStore.getTokenStatus(token))) {
+        clearTimeout(requestTimeout);
+        return;
+      }
+      
       // Si c'est une ressource statique (image, css, js), essayons d'extraire le referer
       // pour voir si on peut trouver le domaine cible
       const referer = req.headers.referer;
@@ -211,18 +582,20 @@ function setupProxyHandler(app) {
           // Si le referer est un de nos sous-domaines, essayons d'utiliser son token
           if (refererHost.endsWith(`.${config.BASE_DOMAIN}`)) {
             const refererToken = refererHost.replace(`.${config.BASE_DOMAIN}`, '');
-            const refererTargetInfo = tokenStore.getDomainInfoFromToken(refererToken);
+            const refererTargetInfo = isSignedToken(refererToken)
+              ? getSignedTargetInfo(refererToken)
+              : tokenStore.getDomainInfoFromToken(refererToken);
             
             if (refererTargetInfo) {
               if (config.DEBUG) {
-                console.log(`[${Date.now()}] Recovered target info from referer token: ${refererToken} -> ${refererTargetInfo.domain}`);
+                console.log(`[${Date.now()}] Recovered target info from referer token: ${refererToken} -> ${getTargetOrigin(refererTargetInfo)}`);
               }
               
               // Cache this information for future requests
               requestCache.set(cacheKey, refererTargetInfo);
               setTimeout(() => requestCache.delete(cacheKey), CACHE_TTL);
               
-              return createProxyMiddleware2(refererTargetInfo, token)(req, res, next);
+              return proxyRequest(refererTargetInfo, token, req, res, next);
             }
           }
         } catch (error) {
@@ -239,29 +612,18 @@ function setupProxyHandler(app) {
         console.log(`Request path: ${req.path}`);
       }
       
-      // Essayer de recharger les tokens depuis le fichier
-      if (tokenStore.forceReload) {
-        console.log(`[${Date.now()}] Forcing token reload to find: ${token}`);
-        tokenStore.forceReload();
-        
-        // Essayer à nouveau après rechargement
-        const refreshedTargetInfo = tokenStore.getDomainInfoFromToken(token);
-        if (refreshedTargetInfo) {
-          console.log(`[${Date.now()}] Found token after reload: ${token} -> ${refreshedTargetInfo.domain}`);
-          requestCache.set(cacheKey, refreshedTargetInfo);
-          return createProxyMiddleware2(refreshedTargetInfo, token)(req, res, next);
-        }
-      }
-      
       // Si le token est invalide et qu'on n'a pas pu le récupérer du referer
       clearTimeout(requestTimeout);
+      if (sendEndedTokenPage(res, token, tokenStore.getTokenStatus(token))) {
+        return;
+      }
       return res.status(400).send(renderErrorPage('Invalid Token',
         `The token <strong>${token}</strong> does not match any registered domain.`,
         'Please visit the homepage to generate a valid token.'));
     }
     
     if (config.DEBUG) {
-      console.log(`[${Date.now()}] Proxying to ${targetInfo.domain}`);
+      console.log(`[${Date.now()}] Proxying to ${getTargetOrigin(targetInfo)}`);
     }
     
     // Cache this information for future requests
@@ -270,7 +632,7 @@ function setupProxyHandler(app) {
     
     // Create and use proxy middleware, passing the token
     try {
-      return createProxyMiddleware2(targetInfo, token)(req, res, next);
+      return proxyRequest(targetInfo, token, req, res, next);
     } catch (error) {
       clearTimeout(requestTimeout);
       console.error(`[${Date.now()}] Error creating proxy middleware:`, error);
@@ -281,7 +643,87 @@ function setupProxyHandler(app) {
   });
 }
 
+/**
+ * Proxies a WebSocket upgrade on a token subdomain
+ * 
+ * @param {object} req - Upgrade request
+ * @param {object} socket - Client socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ */
+function handleUpgrade(req, socket, head) {
+  const host = req.headers.host;
+  
+  if (!host || !host.endsWith(`.${config.BASE_DOMAIN}`) ||
+      (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+    return rejectUpgrade(socket, 400);
+  }
+  
+  const token = host.replace(`.${config.BASE_DOMAIN}`, '');
+  
+  rateLimiter.consume(getProxyLimits(req, token)).then(({ allowed, retryAfter }) => {
+    if (!allowed) {
+      return rejectUpgrade(socket, 429, { 'Retry-After': retryAfter });
+    }
+    proxyUpgrade(req, socket, head, token);
+  }).catch((error) => {
+    console.error(`[${Date.now()}] WebSocket upgrade error for token: ${token}`, error);
+    rejectUpgrade(socket, 500);
+  });
+}
+
+/**
+ * Proxies a WebSocket upgrade within the rate limits
+ * 
+ * @param {object} req - Upgrade request
+ * @param {object} socket - Client socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ * @param {string} token - Token of the subdomain
+ */
+function proxyUpgrade(req, socket, head, token) {
+  let targetInfo;
+  
+  if (isSignedToken(token)) {
+    const { status, info } = verifySignedToken(token);
+    if (status !== 'active') {
+      return rejectUpgrade(socket, status === 'invalid' ? 400 : 410);
+    }
+    targetInfo = info;
+  } else {
+    if (ENDED_TOKEN_PAGES[tokenStore.getTokenStatus(token)]) {
+      return rejectUpgrade(socket, 410);
+    }
+    targetInfo = requestCache.get(`token:${token}`) || tokenStore.getDomainInfoFromToken(token);
+  }
+  
+  if (!targetInfo) {
+    if (config.DEBUG) {
+      console.log(`[${Date.now()}] Invalid token for WebSocket upgrade: ${token}`);
+    }
+    return rejectUpgrade(socket, 400);
+  }
+  
+  if (!domainPolicy.isAllowed(targetInfo.domain) || !isRequestInScope(targetInfo, token, req) || checkHost(targetInfo.domain)) {
+    return rejectUpgrade(socket, 403);
+  }
+  
+  // Count the upgrade against the token's usage limit, if any
+  if (!tokenStore.recordRequest(token)) {
+    return rejectUpgrade(socket, 410);
+  }
+  createWebSocketProxy(targetInfo, token).upgrade(req, socket, head);
+}
+
+/**
+ * Setup WebSocket proxying on an HTTP server
+ * 
+ * @param {object} server - HTTP server of the application
+ */
+function setupWebSocketProxy(server) {
+  server.on('upgrade', handleUpgrade);
+}
+
 module.exports = { 
   setupProxyHandler,
+  setupWebSocketProxy,
   createProxyMiddleware2
 };
\ No newline at end of file
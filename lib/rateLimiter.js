@@ -0,0 +1,222 @@
+/**
+ * Rate Limiter Module
+ * 
+ * Throttles clients with token buckets: each bucket holds up to CAPACITY
+ * requests and is refilled at PER_MINUTE requests per minute, so that short
+ * bursts go through while sustained floods are refused with a 429.
+ * 
+ * Budgets are configured in config.RATE_LIMIT.BUCKETS (token minting per
+ * client, proxied traffic per client and per token, management API requests
+ * per API key). Bucket state lives in a store implementing:
+ * 
+ * - `take(key, bucket)` - Take one request from a bucket (`{ capacity,
+ *   refillPerMs, now }`), refilling it first, and return `{ allowed,
+ *   remaining, retryAfterMs }`, or a promise of it for shared stores
+ * - `sweep(now)` - Optional, drop the buckets that are full again
+ * 
+ * The in-process memory store suits single instances. Instances behind a
+ * load balancer can share their budgets by plugging in another store with
+ * rateLimiter.setStore().
+ */
+
+const config = require('../config');
+const { renderErrorPage } = require('./utils');
+
+/**
+ * Token buckets kept in process memory
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    // key -> { tokens, updatedAt, fullAt }
+    this.buckets = new Map();
+  }
+  
+  /**
+   * Take one request from a bucket
+   * 
+   * @param {string} key - Bucket key
+   * @param {object} bucket - Bucket settings ({ capacity, refillPerMs, now })
+   * @returns {object} - { allowed, remaining, retryAfterMs }
+   */
+  take(key, { capacity, refillPerMs, now }) {
+    const state = this.buckets.get(key);
+    const tokens = state
+      ? Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs)
+      : capacity;
+    
+    if (tokens < 1) {
+      return { allowed: false, remaining: 0, retryAfterMs: (1 - tokens) / refillPerMs };
+    }
+    
+    const remaining = tokens - 1;
+    this.buckets.set(key, {
+      tokens: remaining,
+      updatedAt: now,
+      fullAt: now + (capacity - remaining) / refillPerMs
+    });
+    
+    return { allowed: true, remaining: Math.floor(remaining), retryAfterMs: 0 };
+  }
+  
+  /**
+   * Drop the buckets that have refilled, which behave like new ones
+   * 
+   * @param {number} now - Current timestamp
+   */
+  sweep(now) {
+    for (const [key, state] of this.buckets) {
+      if (state.fullAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Available stores, by name
+ */
+const STORES = {
+  memory: () => new MemoryRateLimitStore()
+};
+
+/**
+ * Gets the address of the client of a request
+ * 
+ * Express requests use the `trust proxy` setting of the application, raw
+ * requests (WebSocket upgrades) apply config.TRUST_PROXY to X-Forwarded-For.
+ * 
+ * @param {object} req - Express or raw HTTP request
+ * @returns {string} - Client IP address
+ */
+function getClientIp(req) {
+  if (req.ip) {
+    return req.ip;
+  }
+  
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(address => address.trim()).filter(Boolean);
+  const addresses = [req.socket.remoteAddress, ...forwarded.reverse()];
+  return addresses[Math.min(config.TRUST_PROXY, addresses.length - 1)];
+}
+
+/**
+ * RateLimiter class applying the configured budgets
+ */
+class RateLimiter {
+  constructor() {
+    this.enabled = config.RATE_LIMIT.ENABLED;
+    this.store = this._createStore(config.RATE_LIMIT.STORE);
+    
+    // Forget idle clients, without keeping the process alive
+    this.sweepInterval = setInterval(() => {
+      if (this.store.sweep) {
+        this.store.sweep(Date.now());
+      }
+    }, config.RATE_LIMIT.SWEEP_INTERVAL_MS);
+    this.sweepInterval.unref();
+  }
+  
+  /**
+   * Creates a store by name
+   * 
+   * @param {string} name - Store name
+   * @returns {object} - Rate limit store
+   */
+  _createStore(name) {
+    const factory = STORES[String(name).toLowerCase()];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return factory();
+  }
+  
+  /**
+   * Replace the store of the bucket state, e.g. with one shared by several
+   * instances
+   * 
+   * @param {object} store - Store implementing take(key, bucket)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+  
+  /**
+   * Take one request from each of the given buckets, stopping at the first
+   * one that is empty
+   * 
+   * Store errors let requests through rather than taking the proxy down.
+   * 
+   * @param {object[]} limits - Buckets to take from, as { bucket, key } where
+   *   bucket is a name of config.RATE_LIMIT.BUCKETS and key identifies the
+   *   client, token or API key
+   * @returns {Promise<object>} - { allowed, retryAfter (seconds), bucket }
+   */
+  async consume(limits) {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+    
+    const now = Date.now();
+    
+    for (const { bucket, key } of limits) {
+      const settings = config.RATE_LIMIT.BUCKETS[bucket];
+      
+      let result;
+      try {
+        result = await this.store.take(`${bucket}:${key}`, {
+          capacity: settings.CAPACITY,
+          refillPerMs: settings.PER_MINUTE / 60000,
+          now
+        });
+      } catch (error) {
+        console.error('Rate limit store error, letting the request through:', error.message);
+        return { allowed: true };
+      }
+      
+      if (!result.allowed) {
+        if (config.DEBUG) {
+          console.log(`[${now}] Rate limit ${bucket} reached for ${key}`);
+        }
+        return { allowed: false, retryAfter: Math.max(1, Math.ceil(result.retryAfterMs / 1000)), bucket };
+      }
+    }
+    
+    return { allowed: true };
+  }
+  
+  /**
+   * Creates a middleware refusing requests over their budgets with a 429
+   * carrying a Retry-After header
+   * 
+   * @param {Function} getLimits - Gets the buckets of a request (see
+   *   consume), an empty list for requests that are not limited
+   * @param {string} format - 'json' for API responses, 'html' for pages
+   * @returns {Function} - Express middleware
+   */
+  limit(getLimits, format = 'json') {
+    return (req, res, next) => {
+      const limits = this.enabled ? getLimits(req) : [];
+      if (!limits.length) {
+        return next();
+      }
+      
+      this.consume(limits).then(({ allowed, retryAfter }) => {
+        if (allowed) {
+          return next();
+        }
+        
+        res.set('Retry-After', String(retryAfter));
+        if (format === 'html') {
+          return res.status(429).send(renderErrorPage('Too Many Requests',
+            'Too many requests were made in a short time.',
+            `Please try again in ${retryAfter} second${retryAfter > 1 ? 's' : ''}.`));
+        }
+        res.status(429).json({ error: 'Too many requests', code: 'RATE_LIMITED', retryAfter });
+      }, next);
+    };
+  }
+}
+
+// Export a singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = { rateLimiter, getClientIp, MemoryRateLimitStore };
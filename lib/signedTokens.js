@@ -0,0 +1,253 @@
+/**
+ * Signed Tokens Module
+ * 
+ * Stateless tokens that carry their target origin and expiry in the
+ * subdomain label itself, authenticated with an HMAC. They are verified
+ * without consulting the token store, so every instance sharing the secret
+ * accepts the same tokens without shared storage.
+ * 
+ * Label layout: `<prefix>-<base32 payload>`, where the payload is
+ * 
+ *   1 byte   version (high nibble) and flags (bit 0: https, bit 1: port,
+ *            bit 2: embed only, see lib/embedLinks.js)
+ *   4 bytes  expiry, in seconds since the epoch
+ *   2 bytes  port (only when the port flag is set)
+ *   n bytes  hostname
+ *   8 bytes  truncated HMAC-SHA256 of everything above
+ * 
+ * A DNS label holds at most 63 characters, which leaves room for hostnames
+ * of about 25 characters.
+ */
+
+const crypto = require('crypto');
+const { domainPolicy } = require('./domainPolicy');
+const config = require('../config');
+
+const VERSION = 1;
+const FLAG_HTTPS = 0x01;
+const FLAG_PORT = 0x02;
+const FLAG_EMBED = 0x04;
+const MAC_LENGTH = 8;
+const MAX_LABEL_LENGTH = 63;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/**
+ * Latest expiry of a signed token, whose header holds it in seconds on 32 bits
+ */
+const MAX_EXPIRES_AT = 0xffffffff * 1000;
+
+/**
+ * Encodes bytes as lowercase, unpadded base32 (safe in DNS labels)
+ * 
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Encoded string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+/**
+ * Decodes lowercase, unpadded base32
+ * 
+ * @param {string} input - Encoded string
+ * @returns {Buffer|null} - Decoded bytes or null if the input is invalid
+ */
+function base32Decode(input) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      return null;
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+/**
+ * Computes the truncated signature of a payload
+ * 
+ * @param {Buffer} payload - Payload to sign
+ * @returns {Buffer} - Signature
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', config.SIGNED_TOKENS.SECRET)
+    .update(payload)
+    .digest()
+    .subarray(0, MAC_LENGTH);
+}
+
+/**
+ * Checks whether signed tokens are enabled
+ * 
+ * @returns {boolean} - True if a signing secret is configured
+ */
+function isSignedTokensEnabled() {
+  return Boolean(config.SIGNED_TOKENS.SECRET);
+}
+
+/**
+ * Checks whether a token uses the signed format
+ * 
+ * @param {string} token - Token to check
+ * @returns {boolean} - True if the token looks like a signed token
+ */
+function isSignedToken(token) {
+  return typeof token === 'string' && token.startsWith(`${config.SIGNED_TOKENS.PREFIX}-`);
+}
+
+/**
+ * Creates a signed token for a target origin
+ * 
+ * @param {object} target - Target origin ({ protocol, domain, port })
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @param {object} options - Token options
+ * @param {boolean} options.embedOnly - Only let the token be framed by the
+ *   parent origins of an embed grant
+ * @returns {string} - Signed token
+ */
+function createSignedToken(target, expiresAt, options = {}) {
+  if (!isSignedTokensEnabled()) {
+    const error = new Error('Signed tokens are disabled (SIGNED_TOKEN_SECRET is not set)');
+    error.code = 'SIGNED_TOKENS_DISABLED';
+    throw error;
+  }
+  
+  domainPolicy.assertAllowed(target.domain);
+  
+  const token = encodeSignedToken(target, expiresAt, options);
+  
+  if (token.length > MAX_LABEL_LENGTH) {
+    const error = new Error(`The target host is too long for a signed token (${token.length} > ${MAX_LABEL_LENGTH} characters)`);
+    error.code = 'TARGET_TOO_LONG';
+    throw error;
+  }
+  
+  return token;
+}
+
+/**
+ * Checks whether a target origin can get a signed token: signed tokens are
+ * enabled and its host is short enough
+ * 
+ * @param {object} target - Target origin ({ protocol, domain, port })
+ * @returns {boolean} - True if createSignedToken() would not fail on it
+ */
+function canSignTarget(target) {
+  return isSignedTokensEnabled() && encodeSignedToken(target, 0).length <= MAX_LABEL_LENGTH;
+}
+
+/**
+ * Encodes and signs a token, whatever its length
+ * 
+ * @param {object} target - Target origin ({ protocol, domain, port })
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @param {object} options - Token options (see createSignedToken)
+ * @returns {string} - Signed token
+ */
+function encodeSignedToken(target, expiresAt, options = {}) {
+  const https = (target.protocol || config.DEFAULT_PROTOCOL) === 'https';
+  const defaultPort = https ? 443 : 80;
+  const port = target.port && Number(target.port) !== defaultPort ? Number(target.port) : null;
+  
+  const header = Buffer.alloc(5);
+  header.writeUInt8((VERSION << 4) | (https ? FLAG_HTTPS : 0) | (port ? FLAG_PORT : 0) | (options.embedOnly ? FLAG_EMBED : 0), 0);
+  header.writeUInt32BE(Math.floor(expiresAt / 1000), 1);
+  
+  const parts = [header];
+  if (port) {
+    const portBuffer = Buffer.alloc(2);
+    portBuffer.writeUInt16BE(port, 0);
+    parts.push(portBuffer);
+  }
+  parts.push(Buffer.from(target.domain.toLowerCase(), 'ascii'));
+  
+  const payload = Buffer.concat(parts);
+  return `${config.SIGNED_TOKENS.PREFIX}-${base32Encode(Buffer.concat([payload, sign(payload)]))}`;
+}
+
+/**
+ * Verifies a signed token
+ * 
+ * @param {string} token - Signed token
+ * @returns {object} - { status, info } where status is 'active', 'expired'
+ *   or 'invalid', and info holds the target domain information
+ */
+function verifySignedToken(token) {
+  if (!isSignedTokensEnabled() || !isSignedToken(token)) {
+    return { status: 'invalid', info: null };
+  }
+  
+  const data = base32Decode(token.slice(config.SIGNED_TOKENS.PREFIX.length + 1));
+  if (!data || data.length <= 5 + MAC_LENGTH) {
+    return { status: 'invalid', info: null };
+  }
+  
+  const payload = data.subarray(0, data.length - MAC_LENGTH);
+  const mac = data.subarray(data.length - MAC_LENGTH);
+  if (!crypto.timingSafeEqual(mac, sign(payload))) {
+    return { status: 'invalid', info: null };
+  }
+  
+  const flags = payload.readUInt8(0);
+  if (flags >> 4 !== VERSION) {
+    return { status: 'invalid', info: null };
+  }
+  
+  let offset = 5;
+  const info = {
+    domain: null,
+    protocol: flags & FLAG_HTTPS ? 'https' : 'http',
+    expiresAt: payload.readUInt32BE(1) * 1000,
+    kind: 'signed'
+  };
+  
+  if (flags & FLAG_EMBED) {
+    info.embedOnly = true;
+  }
+  
+  if (flags & FLAG_PORT) {
+    info.port = payload.readUInt16BE(offset);
+    offset += 2;
+  }
+  info.domain = payload.subarray(offset).toString('ascii');
+  
+  return {
+    status: Date.now() >= info.expiresAt ? 'expired' : 'active',
+    info
+  };
+}
+
+module.exports = {
+  isSignedTokensEnabled,
+  isSignedToken,
+  createSignedToken,
+  canSignTarget,
+  verifySignedToken,
+  MAX_EXPIRES_AT
+};
@@ -0,0 +1,151 @@
+/**
+ * SSRF Guard Module
+ * 
+ * Keeps the proxy from being used to reach private and internal destinations
+ * (loopback, private networks, link-local and cloud metadata addresses...).
+ * Target hosts are checked on the addresses they resolve to when the proxy
+ * connects, so a host cannot pass a check and then be re-pointed at an
+ * internal address (DNS rebinding).
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+/**
+ * Creates a guard error with a code
+ * 
+ * @param {string} hostname - Target host name
+ * @param {string} address - Blocked address
+ * @returns {Error} - Error with code BLOCKED_DESTINATION
+ */
+function blockedError(hostname, address) {
+  const error = new Error(`Connections to ${hostname} (${address}) are not allowed`);
+  error.code = 'BLOCKED_DESTINATION';
+  error.hostname = hostname;
+  error.address = address;
+  return error;
+}
+
+/**
+ * Creates a block list of address ranges
+ * 
+ * @param {string[]} ranges - CIDR ranges ("10.0.0.0/8", "fc00::/7") or
+ *   single addresses
+ * @returns {net.BlockList} - Block list of the ranges
+ * @throws {Error} - With code INVALID_RANGE for malformed ranges
+ */
+function createBlockList(ranges) {
+  const blockList = new net.BlockList();
+  
+  for (const range of ranges) {
+    const [address, prefix] = range.split('/');
+    const family = net.isIP(address);
+    const prefixLength = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+    
+    if (!family || !Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > (family === 6 ? 128 : 32)) {
+      const error = new Error(`Invalid address range "${range}"`);
+      error.code = 'INVALID_RANGE';
+      throw error;
+    }
+    
+    blockList.addSubnet(address, prefixLength, family === 6 ? 'ipv6' : 'ipv4');
+  }
+  
+  return blockList;
+}
+
+const blockedRanges = createBlockList(config.SSRF.BLOCKED_RANGES);
+const allowedRanges = createBlockList(config.SSRF.ALLOWED_RANGES);
+
+/**
+ * Checks whether an address is in a blocked range and not allowed by an
+ * exception (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * 
+ * @param {string} address - IP address
+ * @returns {boolean} - True if the proxy must not connect to it
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return blockedRanges.check(address, family) && !allowedRanges.check(address, family);
+}
+
+/**
+ * Checks a target host that is an IP address, which is connected to
+ * without any DNS lookup
+ * 
+ * @param {string} hostname - Target host name or IP address
+ * @returns {Error|null} - Error with code BLOCKED_DESTINATION if the host is
+ *   a blocked address, null otherwise (including for host names, which are
+ *   checked when resolved)
+ */
+function checkHost(hostname) {
+  const address = String(hostname).replace(/^\[(.*)\]$/, '$1');
+  if (!config.SSRF.ENABLED || !net.isIP(address) || !isBlockedAddress(address)) {
+    return null;
+  }
+  return blockedError(hostname, address);
+}
+
+/**
+ * DNS lookup refusing host names that resolve to a blocked address
+ * 
+ * Has the signature of dns.lookup, to be used as the lookup function of
+ * sockets.
+ * 
+ * @param {string} hostname - Host name to resolve
+ * @param {object} options - dns.lookup options
+ * @param {Function} callback - Called with the error or the addresses
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    // Any blocked address fails the lookup, as the socket may try them all
+    const addresses = options.all ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      if (config.DEBUG) {
+        console.log(`[${Date.now()}] Blocked connection to ${hostname} resolving to ${blocked.address}`);
+      }
+      return callback(blockedError(hostname, blocked.address));
+    }
+    
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Agents connecting through the guarded lookup
+ */
+const agents = {
+  http: new http.Agent({ keepAlive: true, lookup: guardedLookup }),
+  https: new https.Agent({ keepAlive: true, lookup: guardedLookup })
+};
+
+/**
+ * Gets the agent for connections to a target
+ * 
+ * @param {string} protocol - Target protocol ('http' or 'https')
+ * @returns {http.Agent|undefined} - Guarded agent, or undefined (default
+ *   agent) when the protection is disabled
+ */
+function getAgent(protocol) {
+  return config.SSRF.ENABLED ? agents[protocol === 'http' ? 'http' : 'https'] : undefined;
+}
+
+module.exports = {
+  isBlockedAddress,
+  checkHost,
+  guardedLookup,
+  getAgent
+};
@@ -0,0 +1,60 @@
+/**
+ * Storage Module
+ *
+ * Selects the persistence backend used by the token store.
+ *
+ * Every backend implements the same synchronous adapter interface:
+ *
+ * - `init()` - Prepare the underlying storage (create files, tables...)
+ * - `load()` - Return all stored tokens as a `{ token: info }` object
+ * - `get(token)` - Return the info for a token or null
+ * - `findByDomain(key)` - Return the generated (neither alias nor revoked) token mapped to
+ *   an origin key or null
+ * - `set(token, info)` - Create or update a token
+ * - `update(token, apply)` - Atomically change some fields of a stored token:
+ *   `apply(info)` gets the current information and returns the fields to
+ *   change (or null to leave it as is). Returns the updated information, or
+ *   null if the token does not exist
+ * - `remove(token)` - Delete a token
+ * - `flush()` - Persist any buffered writes (called periodically)
+ * - `close()` - Release resources held by the backend
+ * - `describe()` - Return diagnostic information about the backend
+ *
+ * Backends also expose a `needsReload` flag, set when changes made by other
+ * processes can only be picked up by periodically reloading the storage, and
+ * a `shared` flag, set when every read sees the changes made by other
+ * processes so that callers should not rely on copies kept in memory.
+ */
+
+const { JsonFileStorage } = require('./jsonFileStorage');
+const { MemoryStorage } = require('./memoryStorage');
+const { SqliteStorage } = require('./sqliteStorage');
+
+const BACKENDS = {
+  json: (options) => new JsonFileStorage({
+    file: options.DB_FILE,
+    compactEntries: options.JOURNAL_COMPACT_ENTRIES,
+    compactInterval: options.JOURNAL_COMPACT_INTERVAL_MS
+  }),
+  memory: () => new MemoryStorage(),
+  sqlite: (options) => new SqliteStorage({ file: options.SQLITE_FILE })
+};
+
+/**
+ * Creates the storage backend selected in the configuration
+ *
+ * @param {object} options - Storage configuration (see config.STORAGE)
+ * @returns {object} - Storage adapter instance
+ */
+function createStorage(options) {
+  const backend = (options.BACKEND || 'json').toLowerCase();
+  const factory = BACKENDS[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown token storage backend: ${options.BACKEND}`);
+  }
+
+  return factory(options);
+}
+
+module.exports = { createStorage };
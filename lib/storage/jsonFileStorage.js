@@ -0,0 +1,413 @@
+/**
+ * JSON File Storage Module
+ *
+ * Stores tokens in a JSON snapshot file plus an append-only journal next to
+ * it (`<file>.journal`). Every change is appended to the journal as one JSON
+ * line (updates only carry the fields they change), and the journal is
+ * periodically compacted into a new snapshot. On load the snapshot is read
+ * and the journal replayed on top of it.
+ *
+ * Other processes sharing the files are only seen after a reload. They can
+ * keep appending while one of them compacts: the journal being compacted is
+ * moved aside first (`<file>.journal.compacting`), and a lock file
+ * (`<file>.lock`) lets a single process compact at a time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { getOriginKey } = require('../utils');
+
+/**
+ * Age after which a compaction lock is considered left by a crashed process
+ */
+const STALE_LOCK_MS = 60 * 1000;
+
+/**
+ * JSON file storage backend
+ */
+class JsonFileStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.file - Path to the JSON database file
+   * @param {number} options.compactEntries - Journal length triggering a compaction
+   * @param {number} options.compactInterval - Maximum age of a non-empty journal in milliseconds
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.journalFile = `${options.file}.journal`;
+    this.compactingFile = `${options.file}.journal.compacting`;
+    this.lockFile = `${options.file}.lock`;
+    this.compactEntries = options.compactEntries || 1000;
+    this.compactInterval = options.compactInterval || 10 * 60 * 1000;
+    this.tokens = {};
+    this.journalEntries = 0;
+    this.lastLoad = 0;
+    this.lastSave = 0;
+    this.lastCompaction = Date.now();
+    this.needsReload = true;
+    this.shared = false;
+  }
+
+  /**
+   * Create the data directory if it doesn't exist
+   */
+  init() {
+    const dataDir = path.dirname(this.file);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load all tokens from the snapshot and the journal
+   *
+   * Throws if the snapshot exists but cannot be parsed, so that the caller
+   * can decide how to recover.
+   *
+   * @returns {object} - All token information
+   */
+  load() {
+    if (!fs.existsSync(this.file) && !fs.existsSync(this.journalFile)) {
+      console.log('Creating new token database');
+      this._writeSnapshot({});
+    }
+
+    const { tokens, entries, complete } = this._readFromDisk();
+    this.tokens = tokens;
+    this.journalEntries = entries;
+
+    // Terminate a line cut short by a crash so that new entries start on
+    // a line of their own
+    if (!complete) {
+      fs.appendFileSync(this.journalFile, '\n', 'utf8');
+    }
+
+    this.lastLoad = Date.now();
+    return { ...this.tokens };
+  }
+
+  /**
+   * Get token information, reloading the files if the token is unknown
+   * and another process may have created it
+   *
+   * @param {string} token - Token to look up
+   * @returns {object|null} - Token information or null if not found
+   */
+  get(token) {
+    if (!this.tokens[token] && Date.now() - this.lastLoad > 30000) { // 30 seconds
+      this._reload();
+    }
+    return this.tokens[token] || null;
+  }
+
+  /**
+   * Find the token mapped to an origin key, reloading the files if needed
+   *
+   * @param {string} key - Origin key to look up
+   * @returns {string|null} - Token or null if not found
+   */
+  findByDomain(key) {
+    let token = this._findLoadedByDomain(key);
+
+    if (!token && Date.now() - this.lastLoad > 60000) { // 1 minute
+      this._reload();
+      token = this._findLoadedByDomain(key);
+    }
+
+    return token;
+  }
+
+  /**
+   * Create or update a token
+   *
+   * @param {string} token - Token to store
+   * @param {object} info - Token information
+   */
+  set(token, info) {
+    this.tokens[token] = info;
+    this._append({ op: 'set', token, info });
+  }
+
+  /**
+   * Change some fields of a token
+   *
+   * @param {string} token - Token to update
+   * @param {Function} apply - Gets the current information, returns the
+   *   fields to change or null
+   * @returns {object|null} - Updated information or null if not found
+   */
+  update(token, apply) {
+    const info = this.tokens[token];
+    if (!info) {
+      return null;
+    }
+
+    const fields = apply(info);
+    if (!fields) {
+      return info;
+    }
+
+    this.tokens[token] = { ...info, ...fields };
+    this._append({ op: 'update', token, fields });
+    return this.tokens[token];
+  }
+
+  /**
+   * Delete a token
+   *
+   * @param {string} token - Token to delete
+   */
+  remove(token) {
+    if (token in this.tokens) {
+      delete this.tokens[token];
+      this._append({ op: 'remove', token });
+    }
+  }
+
+  /**
+   * Compact the journal if it is old enough
+   *
+   * Writes are already on disk once set() or remove() return, so there is
+   * nothing else to flush.
+   */
+  flush() {
+    if (this.journalEntries > 0 && Date.now() - this.lastCompaction > this.compactInterval) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Fold the journal into a new snapshot
+   *
+   * The journal is moved aside and replayed on the snapshot read from disk,
+   * so entries appended by other processes are kept: those appended before
+   * the move are folded in, the others start a new journal. Nothing is done
+   * while another process holds the compaction lock.
+   */
+  compact() {
+    if (!this._lock()) {
+      return;
+    }
+
+    try {
+      // The journal of an interrupted compaction is folded in first, the
+      // current one is left for the next compaction
+      if (!fs.existsSync(this.compactingFile) && fs.existsSync(this.journalFile)) {
+        fs.renameSync(this.journalFile, this.compactingFile);
+      }
+
+      const tokens = this._readSnapshot();
+      this._replayJournal(this.compactingFile, tokens);
+
+      // A crash between these two steps only replays entries that are
+      // already in the snapshot, which is harmless
+      this._writeSnapshot(tokens);
+      if (fs.existsSync(this.compactingFile)) {
+        fs.unlinkSync(this.compactingFile);
+      }
+    } finally {
+      fs.unlinkSync(this.lockFile);
+    }
+
+    const { tokens, entries } = this._readFromDisk();
+    this.tokens = tokens;
+    this.journalEntries = entries;
+    this.lastCompaction = Date.now();
+    this.lastLoad = this.lastCompaction;
+
+    if (config.DEBUG) {
+      console.log(`Compacted token journal into ${this.file}`);
+    }
+  }
+
+  close() {
+    if (this.journalEntries > 0) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Get diagnostic information
+   *
+   * @returns {object} - Backend description
+   */
+  describe() {
+    const exists = fs.existsSync(this.file);
+    const journalExists = fs.existsSync(this.journalFile);
+    return {
+      backend: 'json',
+      file: this.file,
+      fileExists: exists,
+      fileSize: exists ? fs.statSync(this.file).size : 0,
+      journalFile: this.journalFile,
+      journalSize: journalExists ? fs.statSync(this.journalFile).size : 0,
+      journalEntries: this.journalEntries,
+      lastLoad: this.lastLoad ? new Date(this.lastLoad).toISOString() : null,
+      lastSave: this.lastSave ? new Date(this.lastSave).toISOString() : null,
+      lastCompaction: new Date(this.lastCompaction).toISOString()
+    };
+  }
+
+  /**
+   * Append an entry to the journal, compacting it when it gets too long
+   *
+   * @param {object} entry - Journal entry
+   * @private
+   */
+  _append(entry) {
+    fs.appendFileSync(this.journalFile, JSON.stringify(entry) + '\n', 'utf8');
+    this.journalEntries++;
+    this.lastSave = Date.now();
+
+    if (this.journalEntries >= this.compactEntries) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Read the snapshot and replay the journals on top of it: the one being
+   * compacted by a process, if any, then the current one
+   *
+   * @returns {object} - Tokens, number of journal entries replayed and
+   *   whether the current journal ends with a complete line
+   * @private
+   */
+  _readFromDisk() {
+    const tokens = this._readSnapshot();
+    const compacting = this._replayJournal(this.compactingFile, tokens);
+    const { entries, complete } = this._replayJournal(this.journalFile, tokens);
+
+    return { tokens, entries: compacting.entries + entries, complete };
+  }
+
+  /**
+   * Read the snapshot
+   *
+   * @returns {object} - Token information of the snapshot
+   * @private
+   */
+  _readSnapshot() {
+    return fs.existsSync(this.file)
+      ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+      : {};
+  }
+
+  /**
+   * Replay a journal file on tokens
+   *
+   * A line that cannot be parsed (e.g. the last one, cut short by a crash)
+   * is skipped.
+   *
+   * @param {string} file - Journal file, which may not exist
+   * @param {object} tokens - Token information, updated in place
+   * @returns {object} - Number of entries replayed and whether the journal
+   *   ends with a complete line
+   * @private
+   */
+  _replayJournal(file, tokens) {
+    let entries = 0;
+    let complete = true;
+    if (!fs.existsSync(file)) {
+      return { entries, complete };
+    }
+
+    const data = fs.readFileSync(file, 'utf8');
+    complete = data === '' || data.endsWith('\n');
+
+    const lines = data.split('\n');
+    for (const [index, line] of lines.entries()) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        console.warn(`Skipping unreadable entry on line ${index + 1} of ${file}`);
+        continue;
+      }
+
+      if (entry.op === 'set') {
+        tokens[entry.token] = entry.info;
+      } else if (entry.op === 'update') {
+        if (tokens[entry.token]) {
+          Object.assign(tokens[entry.token], entry.fields);
+        }
+      } else if (entry.op === 'remove') {
+        delete tokens[entry.token];
+      }
+      entries++;
+    }
+
+    return { entries, complete };
+  }
+
+  /**
+   * Take the compaction lock, replacing a stale one
+   *
+   * @returns {boolean} - False if another process is compacting
+   * @private
+   */
+  _lock() {
+    try {
+      fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    try {
+      if (Date.now() - fs.statSync(this.lockFile).mtimeMs < STALE_LOCK_MS) {
+        return false;
+      }
+      fs.unlinkSync(this.lockFile);
+    } catch (error) {
+      // Released or replaced by another process in the meantime
+      return false;
+    }
+
+    console.warn(`Removed the stale compaction lock ${this.lockFile}`);
+    return this._lock();
+  }
+
+  /**
+   * Write a snapshot atomically using a temporary file
+   *
+   * @param {object} tokens - All token information
+   * @private
+   */
+  _writeSnapshot(tokens) {
+    const tempFile = `${this.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(tokens, null, 2), 'utf8');
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Reload the files, ignoring parse errors
+   * @private
+   */
+  _reload() {
+    try {
+      this.load();
+    } catch (error) {
+      console.error('Error reloading token database:', error);
+    }
+  }
+
+  /**
+   * Find a token in the loaded data
+   * @private
+   */
+  _findLoadedByDomain(key) {
+    for (const [token, info] of Object.entries(this.tokens)) {
+      if (info && !info.kind && !info.revoked && getOriginKey(info) === key) {
+        return token;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { JsonFileStorage };
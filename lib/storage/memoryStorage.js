@@ -0,0 +1,118 @@
+/**
+ * Memory Storage Module
+ *
+ * Keeps tokens in process memory only. Useful for tests and
+ * single-instance deployments where tokens do not need to survive a restart.
+ */
+
+const { getOriginKey } = require('../utils');
+
+/**
+ * In-memory storage backend
+ */
+class MemoryStorage {
+  constructor() {
+    this.tokens = new Map();
+    this.needsReload = false;
+    this.shared = false;
+  }
+
+  init() {}
+
+  /**
+   * Load all tokens
+   *
+   * @returns {object} - All token information
+   */
+  load() {
+    return Object.fromEntries(this.tokens);
+  }
+
+  /**
+   * Get token information
+   *
+   * @param {string} token - Token to look up
+   * @returns {object|null} - Token information or null if not found
+   */
+  get(token) {
+    return this.tokens.get(token) || null;
+  }
+
+  /**
+   * Find the token mapped to an origin key (see utils.getOriginKey)
+   *
+   * @param {string} key - Origin key to look up
+   * @returns {string|null} - Token or null if not found
+   */
+  findByDomain(key) {
+    for (const [token, info] of this.tokens) {
+      if (!info.kind && !info.revoked && getOriginKey(info) === key) {
+        return token;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create or update a token
+   *
+   * @param {string} token - Token to store
+   * @param {object} info - Token information
+   */
+  set(token, info) {
+    this.tokens.set(token, info);
+  }
+
+  /**
+   * Change some fields of a token
+   *
+   * @param {string} token - Token to update
+   * @param {Function} apply - Gets the current information, returns the
+   *   fields to change or null
+   * @returns {object|null} - Updated information or null if not found
+   */
+  update(token, apply) {
+    const info = this.tokens.get(token);
+    if (!info) {
+      return null;
+    }
+
+    const fields = apply(info);
+    if (!fields) {
+      return info;
+    }
+
+    const updated = { ...info, ...fields };
+    this.tokens.set(token, updated);
+    return updated;
+  }
+
+  /**
+   * Delete a token
+   *
+   * @param {string} token - Token to delete
+   */
+  remove(token) {
+    this.tokens.delete(token);
+  }
+
+  flush() {}
+
+  close() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Get diagnostic information
+   *
+   * @returns {object} - Backend description
+   */
+  describe() {
+    return {
+      backend: 'memory',
+      size: this.tokens.size
+    };
+  }
+}
+
+module.exports = { MemoryStorage };
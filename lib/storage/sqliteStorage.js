@@ -0,0 +1,187 @@
+/**
+ * SQLite Storage Module
+ *
+ * Stores tokens in a SQLite database. Each token is a row, so writes only
+ * touch the tokens that changed and lookups always see tokens created by
+ * other processes sharing the database file. The `domain` column holds the
+ * origin key of the token's target.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getOriginKey } = require('../utils');
+
+/**
+ * SQLite storage backend
+ */
+class SqliteStorage {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.file - Path to the SQLite database file
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.db = null;
+    this.statements = null;
+    this.updateTransaction = null;
+    this.needsReload = false;
+    this.shared = true;
+  }
+
+  /**
+   * Open the database and create the schema
+   */
+  init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The sqlite token storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    const dataDir = path.dirname(this.file);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    this.db = new Database(this.file);
+
+    // WAL lets several processes read while one of them writes
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tokens (
+        token TEXT PRIMARY KEY,
+        domain TEXT NOT NULL,
+        info TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS tokens_domain ON tokens (domain);
+    `);
+
+    this.statements = {
+      all: this.db.prepare('SELECT token, info FROM tokens'),
+      get: this.db.prepare('SELECT info FROM tokens WHERE token = ?'),
+      findByDomain: this.db.prepare("SELECT token FROM tokens WHERE domain = ? AND json_extract(info, '$.kind') IS NULL AND NOT COALESCE(json_extract(info, '$.revoked'), 0) ORDER BY timestamp DESC LIMIT 1"),
+      set: this.db.prepare(`
+        INSERT INTO tokens (token, domain, info, timestamp) VALUES (?, ?, ?, ?)
+        ON CONFLICT (token) DO UPDATE SET domain = excluded.domain, info = excluded.info, timestamp = excluded.timestamp
+      `),
+      update: this.db.prepare('UPDATE tokens SET info = ?, timestamp = ? WHERE token = ?'),
+      remove: this.db.prepare('DELETE FROM tokens WHERE token = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM tokens')
+    };
+
+    // Reads the row and writes it back without letting another process
+    // write in between
+    this.updateTransaction = this.db.transaction((token, apply) => {
+      const info = this.get(token);
+      if (!info) {
+        return null;
+      }
+
+      const fields = apply(info);
+      if (!fields) {
+        return info;
+      }
+
+      const updated = { ...info, ...fields };
+      this.statements.update.run(JSON.stringify(updated), updated.timestamp || Date.now(), token);
+      return updated;
+    });
+  }
+
+  /**
+   * Load all tokens
+   *
+   * @returns {object} - All token information
+   */
+  load() {
+    const tokens = {};
+    for (const row of this.statements.all.iterate()) {
+      tokens[row.token] = JSON.parse(row.info);
+    }
+    return tokens;
+  }
+
+  /**
+   * Get token information
+   *
+   * @param {string} token - Token to look up
+   * @returns {object|null} - Token information or null if not found
+   */
+  get(token) {
+    const row = this.statements.get.get(token);
+    return row ? JSON.parse(row.info) : null;
+  }
+
+  /**
+   * Find the token mapped to an origin key (see utils.getOriginKey)
+   *
+   * @param {string} key - Origin key to look up
+   * @returns {string|null} - Token or null if not found
+   */
+  findByDomain(key) {
+    const row = this.statements.findByDomain.get(key);
+    return row ? row.token : null;
+  }
+
+  /**
+   * Create or update a token
+   *
+   * @param {string} token - Token to store
+   * @param {object} info - Token information
+   */
+  set(token, info) {
+    this.statements.set.run(token, getOriginKey(info), JSON.stringify(info), info.timestamp || Date.now());
+  }
+
+  /**
+   * Change some fields of a token in a single write transaction
+   *
+   * @param {string} token - Token to update
+   * @param {Function} apply - Gets the current information, returns the
+   *   fields to change or null
+   * @returns {object|null} - Updated information or null if not found
+   */
+  update(token, apply) {
+    return this.updateTransaction.immediate(token, apply);
+  }
+
+  /**
+   * Delete a token
+   *
+   * @param {string} token - Token to delete
+   */
+  remove(token) {
+    this.statements.remove.run(token);
+  }
+
+  // Every write is committed immediately
+  flush() {}
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Get diagnostic information
+   *
+   * @returns {object} - Backend description
+   */
+  describe() {
+    return {
+      backend: 'sqlite',
+      file: this.file,
+      size: this.db ? this.statements.count.get().count : 0
+    };
+  }
+}
+
+module.exports = { SqliteStorage };
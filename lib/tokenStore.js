@@ -1,227 +1,258 @@
 /**
- * Token Store Module - With reliable persistence
+ * Token Store Module - With pluggable persistence
  * 
  * Manages the storage and retrieval of tokens for domain mapping.
+ * Persistence is delegated to a storage backend (see lib/storage).
  */
 
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const config = require('../config');
+const { createStorage } = require('./storage');
+const { getOriginKey, getTargetOrigin, extractOriginFromUrl, normalizePathPrefix } = require('./utils');
+const { domainPolicy } = require('./domainPolicy');
+
+/**
+ * Per-token lifecycle fields kept alongside the target origin
+ */
+const LIFECYCLE_FIELDS = ['ttl', 'expiresAt', 'maxRequests', 'requestCount', 'revoked', 'revokedAt'];
 
 /**
  * TokenStore class for managing domain-to-token mappings
+ * 
+ * Emits lifecycle events (see README):
+ * - `created` ({ token, info }) - A token or alias was minted
+ * - `accessed` ({ token, info }) - A token was resolved for a proxied request
+ * - `expired` ({ token, info, reason }) - A token expired or was used up,
+ *   or the cleanup deleted an inactive token
+ * - `revoked` ({ token, info }) - A token was revoked
+ * - `removed` ({ token, info }) - An alias was released
+ * - `reloaded` ({ count }) - Tokens were (re)loaded from storage
  */
-class TokenStore {
+class TokenStore extends EventEmitter {
   constructor() {
-    // Maps tokens to domain information
+    super();
+    
+    // Maps tokens to domain information, a cache of the storage that is
+    // read through when the storage is shared (see getTokenInfo)
     this.tokens = {};
     
-    // Maps domains to their tokens (for quick lookups)
+    // Maps target origins to their tokens (for quick lookups), keyed by
+    // getOriginKey() so plain https domains keep their bare-domain key
     this.domainMapping = {};
     
-    // In-memory cache with last save timestamp
+    // Storage backend, created on initialization
+    this.storage = null;
+    
+    // Usage statistics recorded since the last flush, by token
+    this.pendingUsage = new Map();
+    
+    // Timestamps of the last write and load
     this.lastSave = 0;
     this.lastLoad = 0;
-    this.dirty = false;
-    this.saveTimeout = null;
     
     // Lock to prevent concurrent read/writes
     this.isLoading = false;
-    
-    // Emergency backup in memory
-    this.backupTokens = new Map();
   }
   
   /**
    * Initialize the token store from persistent storage
    */
   initialize() {
+    this.storage = createStorage({
+      ...config.STORAGE,
+      DB_FILE: config.DB_FILE
+    });
+    this.storage.init();
+    
     try {
-      // Create data directory if it doesn't exist
-      const dataDir = path.dirname(config.DB_FILE);
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-      }
-      
-      this._loadTokensFromFile();
+      this._loadTokens();
       
       // Set up periodic cleanup
       this._setupCleanup();
       
-      // Setup periodic saving if tokens are modified
-      this._setupPeriodicSave();
+      // Report tokens as soon as they expire
+      this._setupExpiryCheck();
+      
+      // Setup periodic flushing of the storage (e.g. journal compaction)
+      this._setupPeriodicFlush();
       
       // Setup periodic reloading to pick up changes from other processes
-      this._setupPeriodicReload();
+      if (this.storage.needsReload) {
+        this._setupPeriodicReload();
+      }
       
-      console.log('Token store initialized successfully');
+      console.log(`Token store initialized successfully (${config.STORAGE.BACKEND} storage)`);
     } catch (error) {
       console.error('Error initializing token store:', error);
       this.tokens = {};
       this.domainMapping = {};
-      this.save(true);
     }
   }
   
   /**
-   * Load tokens from file
+   * Load tokens from storage
    * @private
    */
-  _loadTokensFromFile() {
+  _loadTokens() {
     if (this.isLoading) return;
     
     this.isLoading = true;
     try {
-      // Load existing tokens
-      if (fs.existsSync(config.DB_FILE)) {
-        const data = fs.readFileSync(config.DB_FILE, 'utf8');
-        
-        try {
-          const loadedTokens = JSON.parse(data);
-          this.tokens = loadedTokens;
-          
-          // Rebuild the domain mapping
-          this.domainMapping = {};
-          for (const [token, info] of Object.entries(this.tokens)) {
-            if (info && info.domain) {
-              this.domainMapping[info.domain] = token;
-              
-              // Update backup
-              this.backupTokens.set(token, { 
-                ...info,
-                source: 'file'
-              });
-            }
-          }
-          
-          this.lastLoad = Date.now();
-          console.log(`Loaded ${Object.keys(this.tokens).length} tokens from database`);
-        } catch (parseError) {
-          console.error('Error parsing token database:', parseError);
-          // If parsing fails, try to recover from backup
-          if (this.backupTokens.size > 0) {
-            console.log('Recovering from in-memory backup');
-            this.tokens = {};
-            for (const [token, info] of this.backupTokens.entries()) {
-              this.tokens[token] = {
-                domain: info.domain,
-                protocol: info.protocol || config.DEFAULT_PROTOCOL,
-                timestamp: info.timestamp || Date.now()
-              };
-              this.domainMapping[info.domain] = token;
-            }
-            this.save(true);
-          }
-        }
-      } else {
-        console.log('Creating new token database');
-        this.save(true); // Force save
-      }
-    } catch (error) {
-      console.error('Error loading tokens from file:', error);
+      this.tokens = this.storage.load();
       
-      // Try to recover from backup
-      if (this.backupTokens.size > 0) {
-        console.log('Recovering from in-memory backup after load error');
-        this.tokens = {};
-        for (const [token, info] of this.backupTokens.entries()) {
-          this.tokens[token] = {
-            domain: info.domain,
-            protocol: info.protocol || config.DEFAULT_PROTOCOL,
-            timestamp: info.timestamp || Date.now()
-          };
-          this.domainMapping[info.domain] = token;
+      // Rebuild the domain mapping
+      this.domainMapping = {};
+      for (const [token, info] of Object.entries(this.tokens)) {
+        if (info && info.domain) {
+          this._mapOrigin(token, info);
         }
-      } else {
-        this.tokens = {};
-        this.domainMapping = {};
       }
       
-      this.save(true);
+      this.lastLoad = Date.now();
+      console.log(`Loaded ${Object.keys(this.tokens).length} tokens from database`);
+      this.emit('reloaded', { count: Object.keys(this.tokens).length });
+    } catch (error) {
+      // Keep the tokens already in memory, every one of them has been
+      // written to storage when it changed
+      console.error('Error loading tokens from storage:', error);
     } finally {
       this.isLoading = false;
     }
   }
   
   /**
-   * Save tokens to persistent storage with throttling
-   * @param {boolean} force - Force immediate save
+   * Write a new (or deleted) token to storage
+   * 
+   * Changes are written through immediately so that a crash loses at most
+   * the write in progress. Backends keep this cheap, e.g. the JSON backend
+   * appends each change to a journal. Existing tokens are changed with
+   * _update() instead, so that concurrent changes made by other processes
+   * are not overwritten.
+   * 
+   * @param {string} token - Changed token
+   * @private
    */
-  save(force = false) {
-    this.dirty = true;
-    
-    // If a save is already scheduled, don't schedule another one
-    if (this.saveTimeout && !force) {
-      return;
-    }
-    
-    // If forced or it's been a while since the last save, save immediately
-    const now = Date.now();
-    if (force || now - this.lastSave > 10000) { // 10 seconds
-      this._saveImmediately();
-    } else {
-      // Schedule a save for later
-      if (this.saveTimeout) {
-        clearTimeout(this.saveTimeout);
+  _persist(token) {
+    try {
+      if (this.tokens[token]) {
+        this.storage.set(token, this.tokens[token]);
+      } else {
+        this.storage.remove(token);
       }
-      
-      this.saveTimeout = setTimeout(() => {
-        this._saveImmediately();
-      }, 2000); // 2 second debounce
+      this.lastSave = Date.now();
+    } catch (error) {
+      console.error(`Error saving token ${token}:`, error);
     }
   }
   
   /**
-   * Save tokens immediately
+   * Change some fields of a stored token
+   * 
+   * The fields are computed from the stored information, read again within
+   * the write, so that changes made by other processes in the meantime are
+   * neither lost nor overwritten (e.g. counters are incremented atomically).
+   * 
+   * @param {string} token - Token to update
+   * @param {Function} apply - Gets the current information, returns the
+   *   fields to change or null to leave the token as is
+   * @returns {object|null} - Updated information or null if not found
    * @private
    */
-  _saveImmediately() {
-    if (!this.dirty) return;
-    
+  _update(token, apply) {
     try {
-      // Create a copy of the data to save
-      const dataToSave = JSON.stringify(this.tokens, null, 2);
-      
-      // Atomic file write using a temporary file
-      const tempFile = `${config.DB_FILE}.tmp`;
-      fs.writeFileSync(tempFile, dataToSave, 'utf8');
-      fs.renameSync(tempFile, config.DB_FILE);
-      
+      const info = this.storage.update(token, apply);
+      this._cacheToken(token, info);
       this.lastSave = Date.now();
-      this.dirty = false;
-      this.saveTimeout = null;
+      return info;
+    } catch (error) {
+      console.error(`Error saving token ${token}:`, error);
       
-      if (config.DEBUG) {
-        console.log('Saved token database to file');
+      // Keep the change in memory at least
+      const info = this.tokens[token];
+      const fields = info ? apply(info) : null;
+      if (fields) {
+        Object.assign(info, fields);
       }
-    } catch (error) {
-      console.error('Error saving token database:', error);
+      return info || null;
     }
   }
   
   /**
-   * Setup periodic save to ensure data is persisted
+   * Setup periodic flush so backends can do their housekeeping
    * @private
    */
-  _setupPeriodicSave() {
-    // Every 30 seconds, check if there are unsaved changes
+  _setupPeriodicFlush() {
+    // Every 30 seconds, save the usage statistics and let the backend
+    // persist or compact its data
     setInterval(() => {
-      if (this.dirty) {
-        this._saveImmediately();
+      this.flushUsage();
+      try {
+        this.storage.flush();
+      } catch (error) {
+        console.error('Error flushing token storage:', error);
       }
     }, 30 * 1000);
   }
   
+  /**
+   * Setup periodic checks reporting the tokens that expired or were used up
+   * since the last check, without waiting for their next request
+   * @private
+   */
+  _setupExpiryCheck() {
+    // Every 30 seconds, check the loaded tokens that can end by themselves
+    setInterval(() => {
+      const now = Date.now();
+      for (const [token, info] of Object.entries(this.tokens)) {
+        if (!info.expiryReportedAt && (info.ttl || info.expiresAt || info.maxRequests)) {
+          this._reportExpiry(token, info, now);
+        }
+      }
+    }, 30 * 1000);
+  }
+  
+  /**
+   * Emit the `expired` event of a token that expired or was used up
+   * 
+   * The token is marked as reported in the storage, so that the event is
+   * emitted once even when several processes find out at the same time.
+   * 
+   * @param {string} token - Token to check
+   * @param {object} info - Known token information
+   * @param {number} now - Current time
+   * @private
+   */
+  _reportExpiry(token, info, now = Date.now()) {
+    const status = this.getLifecycleStatus(info, now);
+    if (info.expiryReportedAt || (status !== 'expired' && status !== 'exhausted')) {
+      return;
+    }
+    
+    let reason = null;
+    const reported = this._update(token, (stored) => {
+      const storedStatus = this.getLifecycleStatus(stored, now);
+      if (stored.expiryReportedAt || (storedStatus !== 'expired' && storedStatus !== 'exhausted')) {
+        return null;
+      }
+      reason = storedStatus;
+      return { expiryReportedAt: now };
+    });
+    
+    if (reason) {
+      this.emit('expired', { token, info: reported, reason });
+    }
+  }
+  
   /**
    * Setup periodic reload to pick up changes from other processes
    * @private
    */
   _setupPeriodicReload() {
-    // Every 2 minutes, reload the file
+    // Every 2 minutes, reload the storage
     setInterval(() => {
-      if (!this.isLoading && !this.dirty) {
-        this._loadTokensFromFile();
+      if (!this.isLoading) {
+        this._loadTokens();
       }
     }, 2 * 60 * 1000);
   }
@@ -229,69 +260,626 @@ class TokenStore {
   /**
    * Get or create a token for a domain
    * 
-   * @param {string} domain - Domain to get token for
+   * Tokens map to a full origin: the same domain on another scheme or
+   * port gets its own token.
+   * 
+   * @param {string} domain - Domain (or IP address) to get token for
+   * @param {object} options - Origin options
+   * @param {string} options.protocol - Target scheme (defaults to config.DEFAULT_PROTOCOL)
+   * @param {number} options.port - Target port (null for the scheme's default port)
    * @returns {string} - The token
+   * @throws {Error} - With code DOMAIN_NOT_ALLOWED if the domain may not be
+   *   proxied (see lib/domainPolicy.js)
    */
-  getTokenForDomain(domain) {
-    // Normalize domain by converting to lowercase
-    domain = domain.toLowerCase();
+  getTokenForDomain(domain, options = {}) {
+    domainPolicy.assertAllowed(domain);
     
-    // Check if domain already has a token
-    if (this.domainMapping[domain]) {
-      const token = this.domainMapping[domain];
-      
+    const target = this._createTokenInfo({ domain, ...options }, Date.now());
+    const originKey = getOriginKey(target);
+    
+    // Check if origin already has a token
+    const existingToken = this.findTokenForDomain(domain, options);
+    if (existingToken) {
       // Update timestamp
-      if (this.tokens[token]) {
-        this.tokens[token].timestamp = Date.now();
-        
-        // Update backup
-        this.backupTokens.set(token, {
-          ...this.tokens[token],
-          source: 'cache_update'
-        });
-        
-        this.dirty = true;
-        return token;
+      this._update(existingToken, () => ({ timestamp: Date.now() }));
+      return existingToken;
+    }
+    
+    // Generate a new token
+    const token = this._generateToken();
+    
+    // Save the token mapping
+    this.tokens[token] = target;
+    this.domainMapping[originKey] = token;
+    
+    this._persist(token);
+    this.emit('created', { token, info: this.tokens[token] });
+    
+    return token;
+  }
+  
+  /**
+   * Find the generated token of an origin without creating one
+   * 
+   * @param {string} domain - Target domain
+   * @param {object} options - Origin options (protocol, port)
+   * @returns {string|null} - The token or null if the origin has none
+   */
+  findTokenForDomain(domain, options = {}) {
+    const originKey = getOriginKey(this._createTokenInfo({ domain, ...options }, 0));
+    
+    // The mapped token may have been revoked or removed by another process
+    const mappedToken = this.domainMapping[originKey];
+    if (mappedToken && this.getTokenInfo(mappedToken) && this.domainMapping[originKey] === mappedToken) {
+      return mappedToken;
+    }
+    
+    // Ask the storage, maybe another process created this token
+    const storedToken = this.storage.findByDomain(originKey);
+    if (storedToken && this.getTokenInfo(storedToken)) {
+      this.domainMapping[originKey] = storedToken;
+      return storedToken;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get the information of a token, whatever its lifecycle status
+   * 
+   * Tokens are served from memory, or read from the storage when they are
+   * unknown (another process may have created them). Shared storages (see
+   * lib/storage) are read on every call instead, so that tokens created,
+   * edited or revoked by other processes are seen immediately.
+   * 
+   * @param {string} token - Token to look up
+   * @returns {object|null} - Token information or null if not found
+   */
+  getTokenInfo(token) {
+    if (this.tokens[token] && !this.storage.shared) {
+      return this.tokens[token];
+    }
+    
+    const info = this.storage.get(token);
+    this._cacheToken(token, info);
+    return info;
+  }
+  
+  /**
+   * Replace the information kept in memory for a token with the stored one
+   * 
+   * @param {string} token - Token read from storage
+   * @param {object|null} info - Stored information, null if the token is gone
+   * @private
+   */
+  _cacheToken(token, info) {
+    const cached = this.tokens[token];
+    if (cached && this.domainMapping[getOriginKey(cached)] === token) {
+      delete this.domainMapping[getOriginKey(cached)];
+    }
+    
+    if (!info) {
+      delete this.tokens[token];
+      return;
+    }
+    
+    this.tokens[token] = info;
+    if (!this.domainMapping[getOriginKey(info)]) {
+      this._mapOrigin(token, info);
+    }
+  }
+  
+  /**
+   * Build normalized token information for a target origin
+   * 
+   * @param {object} target - Target with domain, protocol and port
+   * @param {number} timestamp - Last access timestamp
+   * @returns {object} - Token information
+   * @private
+   */
+  _createTokenInfo(target, timestamp) {
+    const protocol = (target.protocol || config.DEFAULT_PROTOCOL).toLowerCase();
+    const port = target.port ? parseInt(target.port, 10) : null;
+    const defaultPort = protocol === 'http' ? 80 : 443;
+    
+    const info = {
+      domain: target.domain.toLowerCase(),
+      protocol,
+      timestamp
+    };
+    
+    // Only store non-default ports
+    if (port && port !== defaultPort) {
+      info.port = port;
+    }
+    
+    // Keep the kind of non-generated tokens (e.g. aliases)
+    if (target.kind) {
+      info.kind = target.kind;
+    }
+    
+    for (const field of LIFECYCLE_FIELDS) {
+      if (target[field] !== undefined && target[field] !== null) {
+        info[field] = target[field];
       }
     }
     
-    // Reload from file if it's been a while, maybe another process created this token
-    if (Date.now() - this.lastLoad > 60000) { // 1 minute
-      this._loadTokensFromFile();
+    // Keep the path scope of scoped tokens
+    if (target.pathPrefix) {
+      info.pathPrefix = target.pathPrefix;
+    }
+    
+    if (target.stats) {
+      info.stats = target.stats;
+    }
+    
+    return info;
+  }
+  
+  /**
+   * Validate and normalize the path scope of a new token
+   * 
+   * @param {object} options - Scope options
+   * @param {string} options.pathPrefix - Path prefix the token is restricted to
+   * @returns {object} - Scope fields to store with the token
+   * @private
+   */
+  _normalizeScope(options = {}) {
+    if (options.pathPrefix === undefined || options.pathPrefix === null || options.pathPrefix === '') {
+      return {};
+    }
+    
+    if (typeof options.pathPrefix !== 'string' || !options.pathPrefix.startsWith('/')) {
+      const error = new Error('pathPrefix must be a path starting with "/"');
+      error.code = 'INVALID_SCOPE';
+      throw error;
+    }
+    
+    const pathPrefix = normalizePathPrefix(options.pathPrefix);
+    
+    // A prefix of "/" is the same as no scope at all
+    return pathPrefix === '/' ? {} : { pathPrefix };
+  }
+  
+  /**
+   * Validate and normalize lifecycle options for a new token
+   * 
+   * Imported tokens keep their request count and revocation, and may have
+   * already ended.
+   * 
+   * @param {object} options - Lifecycle options
+   * @param {number} options.ttl - Inactivity timeout in milliseconds
+   * @param {number|string} options.expiresAt - Absolute expiry (timestamp or date string)
+   * @param {number} options.maxRequests - Maximum number of proxied requests
+   * @param {boolean} imported - Whether the options come from an import
+   * @returns {object} - Lifecycle fields to store with the token
+   * @private
+   */
+  _normalizeLifecycle(options = {}, imported = false) {
+    const lifecycle = {};
+    const fail = (message) => {
+      const error = new Error(message);
+      error.code = 'INVALID_LIFECYCLE';
+      throw error;
+    };
+    
+    if (options.ttl !== undefined && options.ttl !== null) {
+      const ttl = Number(options.ttl);
+      if (!Number.isInteger(ttl) || ttl <= 0) {
+        fail('ttl must be a positive number of milliseconds');
+      }
+      lifecycle.ttl = ttl;
+    }
+    
+    if (options.expiresAt !== undefined && options.expiresAt !== null) {
+      const expiresAt = typeof options.expiresAt === 'number'
+        ? options.expiresAt
+        : Date.parse(options.expiresAt);
+      if (!Number.isFinite(expiresAt) || (expiresAt <= Date.now() && !imported)) {
+        fail(imported ? 'expiresAt must be a date' : 'expiresAt must be a date in the future');
+      }
+      lifecycle.expiresAt = expiresAt;
+    }
+    
+    if (options.maxRequests !== undefined && options.maxRequests !== null) {
+      const maxRequests = Number(options.maxRequests);
+      if (!Number.isInteger(maxRequests) || maxRequests <= 0) {
+        fail('maxRequests must be a positive integer');
+      }
+      lifecycle.maxRequests = maxRequests;
       
-      // Check again after reload
-      if (this.domainMapping[domain]) {
-        const token = this.domainMapping[domain];
-        if (this.tokens[token]) {
-          this.tokens[token].timestamp = Date.now();
-          this.dirty = true;
-          return token;
+      const requestCount = imported && options.requestCount !== undefined && options.requestCount !== null
+        ? Number(options.requestCount)
+        : 0;
+      if (!Number.isInteger(requestCount) || requestCount < 0) {
+        fail('requestCount must be a non-negative integer');
+      }
+      lifecycle.requestCount = requestCount;
+    }
+    
+    if (imported && options.revoked !== undefined && options.revoked !== null) {
+      if (typeof options.revoked !== 'boolean') {
+        fail('revoked must be true or false');
+      }
+      if (options.revoked) {
+        lifecycle.revoked = true;
+        
+        if (options.revokedAt !== undefined && options.revokedAt !== null) {
+          if (!Number.isFinite(options.revokedAt)) {
+            fail('revokedAt must be a timestamp in milliseconds');
+          }
+          lifecycle.revokedAt = options.revokedAt;
         }
       }
     }
     
-    // Generate a new token
+    return lifecycle;
+  }
+  
+  /**
+   * Compute the lifecycle status of a token
+   * 
+   * @param {object} info - Token information
+   * @param {number} now - Current time
+   * @returns {string} - 'active', 'revoked', 'expired' or 'exhausted'
+   */
+  getLifecycleStatus(info, now = Date.now()) {
+    if (info.revoked) {
+      return 'revoked';
+    }
+    if (info.expiresAt && now >= info.expiresAt) {
+      return 'expired';
+    }
+    if (info.ttl && now - info.timestamp > info.ttl) {
+      return 'expired';
+    }
+    if (info.maxRequests && (info.requestCount || 0) >= info.maxRequests) {
+      return 'exhausted';
+    }
+    return 'active';
+  }
+  
+  /**
+   * Get the time at which a token stopped being usable
+   * 
+   * @param {object} info - Token information
+   * @param {number} now - Current time
+   * @returns {number} - End timestamp
+   * @private
+   */
+  _getEndTime(info, now = Date.now()) {
+    if (info.revoked) {
+      return info.revokedAt || info.timestamp;
+    }
+    if (info.expiresAt && now >= info.expiresAt) {
+      return info.expiresAt;
+    }
+    if (info.ttl && now - info.timestamp > info.ttl) {
+      return info.timestamp + info.ttl;
+    }
+    return info.timestamp;
+  }
+  
+  /**
+   * Register a token as the generated token of its origin
+   * 
+   * Tokens with a kind (such as aliases) are additional names for an origin
+   * and never replace its entry in the domain mapping.
+   * 
+   * @param {string} token - Token to register
+   * @param {object} info - Token information
+   * @private
+   */
+  _mapOrigin(token, info) {
+    if (!info.kind && !info.revoked) {
+      this.domainMapping[getOriginKey(info)] = token;
+    }
+  }
+  
+  /**
+   * Reserve a named alias for an origin
+   * 
+   * Aliases are readable tokens chosen by the caller (e.g. "docs-acme").
+   * An origin can have several aliases alongside its generated token, and
+   * aliases are not removed by the inactivity cleanup.
+   * 
+   * @param {string} alias - Alias to reserve
+   * @param {string} domain - Target domain
+   * @param {object} options - Origin options (protocol, port), lifecycle
+   *   options (ttl, expiresAt, maxRequests) and path scope (pathPrefix)
+   * @returns {string} - The normalized alias
+   */
+  createAlias(alias, domain, options = {}) {
+    domainPolicy.assertAllowed(domain);
+    
+    alias = String(alias || '').trim().toLowerCase();
+    
+    const validationError = this._validateAlias(alias);
+    if (validationError) {
+      const error = new Error(validationError);
+      error.code = 'INVALID_ALIAS';
+      throw error;
+    }
+    
+    if (this.getTokenInfo(alias)) {
+      const error = new Error(`The token "${alias}" is already in use`);
+      error.code = 'TOKEN_EXISTS';
+      throw error;
+    }
+    
+    const lifecycle = this._normalizeLifecycle(options);
+    const scope = this._normalizeScope(options);
+    this.tokens[alias] = this._createTokenInfo({
+      domain,
+      protocol: options.protocol,
+      port: options.port,
+      ...lifecycle,
+      ...scope,
+      kind: 'alias'
+    }, Date.now());
+    
+    
+    this._persist(alias);
+    this.emit('created', { token: alias, info: this.tokens[alias] });
+    
+    return alias;
+  }
+  
+  /**
+   * Create a dedicated token for an origin with its own lifecycle
+   * 
+   * Unlike getTokenForDomain(), this always mints a new token, so it can be
+   * handed out (and revoked) independently of other embeds of the origin.
+   * 
+   * @param {string} domain - Target domain
+   * @param {object} options - Origin options (protocol, port), lifecycle
+   *   options (ttl, expiresAt, maxRequests) and path scope (pathPrefix)
+   * @returns {string} - The new token
+   */
+  createToken(domain, options = {}) {
+    domainPolicy.assertAllowed(domain);
+    
+    const lifecycle = this._normalizeLifecycle(options);
+    const scope = this._normalizeScope(options);
     const token = this._generateToken();
     
-    // Save the token mapping
-    this.tokens[token] = {
+    this.tokens[token] = this._createTokenInfo({
       domain,
-      protocol: config.DEFAULT_PROTOCOL,
-      timestamp: Date.now()
-    };
+      protocol: options.protocol,
+      port: options.port,
+      ...lifecycle,
+      ...scope,
+      kind: 'custom'
+    }, Date.now());
     
-    this.domainMapping[domain] = token;
+    this._persist(token);
+    this.emit('created', { token, info: this.tokens[token] });
     
-    // Update backup
-    this.backupTokens.set(token, {
-      ...this.tokens[token],
-      source: 'new_token'
+    return token;
+  }
+  
+  /**
+   * Revoke a token
+   * 
+   * Revoked tokens stop working immediately. A revoked generated token is
+   * removed from the domain mapping, so the origin gets a new one.
+   * 
+   * @param {string} token - Token to revoke
+   * @returns {boolean} - True if the token exists
+   */
+  revokeToken(token) {
+    if (!this.getTokenInfo(token)) {
+      return false;
+    }
+    
+    // Only the process that actually revokes the token reports it
+    let revoked = false;
+    const info = this._update(token, (stored) => {
+      if (stored.revoked) {
+        return null;
+      }
+      revoked = true;
+      return { revoked: true, revokedAt: Date.now() };
     });
     
-    // Immediate save for new tokens
-    this.save(true);
+    if (revoked) {
+      const originKey = getOriginKey(info);
+      if (this.domainMapping[originKey] === token) {
+        delete this.domainMapping[originKey];
+      }
+      
+      this.emit('revoked', { token, info });
+    }
     
-    return token;
+    return true;
+  }
+  
+  /**
+   * Get the lifecycle status of a known token
+   * 
+   * @param {string} token - Token to check
+   * @returns {string} - 'active', 'revoked', 'expired', 'exhausted' or
+   *   'unknown' if the token does not exist
+   */
+  getTokenStatus(token) {
+    const info = this.getTokenInfo(token);
+    return info ? this.getLifecycleStatus(info) : 'unknown';
+  }
+  
+  /**
+   * Count a proxied request against a token's request limit
+   * 
+   * The count is incremented atomically in the storage, so that processes
+   * sharing it cannot let more requests through than the limit.
+   * 
+   * @param {string} token - Token used for the request
+   * @returns {boolean} - False if the token was used up (or revoked or
+   *   expired) in the meantime and the request must be refused
+   */
+  recordRequest(token) {
+    const info = this.tokens[token];
+    if (!info || !info.maxRequests) {
+      return true;
+    }
+    
+    let allowed = false;
+    this._update(token, (stored) => {
+      if (this.getLifecycleStatus(stored) !== 'active') {
+        return null;
+      }
+      allowed = true;
+      return { requestCount: (stored.requestCount || 0) + 1 };
+    });
+    
+    return allowed;
+  }
+  
+  /**
+   * Record the usage statistics of a proxied response
+   * 
+   * Statistics are counted in memory and added to the ones stored with the
+   * token by the periodic flush (see flushUsage), rather than written on
+   * every response.
+   * 
+   * @param {string} token - Token used for the request
+   * @param {object} usage - Response usage
+   * @param {number} usage.statusCode - Response status code
+   * @param {number} usage.bytes - Bytes sent to the client
+   * @param {string} usage.parentOrigin - Origin of the embedding page, if any
+   */
+  recordUsage(token, usage) {
+    if (!this.tokens[token]) {
+      return;
+    }
+    
+    this.pendingUsage.set(token, this._mergeStats(this.pendingUsage.get(token), {
+      requests: 1,
+      bytes: usage.bytes || 0,
+      statusCodes: { [usage.statusCode]: 1 },
+      parentOrigins: usage.parentOrigin ? [usage.parentOrigin] : [],
+      lastSeen: Date.now()
+    }));
+  }
+  
+  /**
+   * Add the usage statistics recorded since the last flush to the stored ones
+   * 
+   * Called periodically, and before statistics are read or exported.
+   */
+  flushUsage() {
+    const pending = this.pendingUsage;
+    this.pendingUsage = new Map();
+    
+    for (const [token, usage] of pending) {
+      this._update(token, (stored) => ({ stats: this._mergeStats(stored.stats, usage) }));
+    }
+  }
+  
+  /**
+   * Add usage statistics together
+   * 
+   * @param {object} current - Current statistics, if any
+   * @param {object} usage - Statistics to add
+   * @returns {object} - New statistics
+   * @private
+   */
+  _mergeStats(current, usage) {
+    const stats = current ? {
+      ...current,
+      statusCodes: { ...current.statusCodes },
+      parentOrigins: [...current.parentOrigins]
+    } : {
+      requests: 0,
+      bytes: 0,
+      statusCodes: {},
+      parentOrigins: [],
+      lastSeen: null
+    };
+    
+    stats.requests += usage.requests;
+    stats.bytes += usage.bytes;
+    for (const [statusCode, count] of Object.entries(usage.statusCodes)) {
+      stats.statusCodes[statusCode] = (stats.statusCodes[statusCode] || 0) + count;
+    }
+    stats.lastSeen = Math.max(stats.lastSeen || 0, usage.lastSeen);
+    
+    for (const parentOrigin of usage.parentOrigins) {
+      if (!stats.parentOrigins.includes(parentOrigin) &&
+          stats.parentOrigins.length < config.ANALYTICS.MAX_PARENT_ORIGINS) {
+        stats.parentOrigins.push(parentOrigin);
+      }
+    }
+    
+    return stats;
+  }
+  
+  /**
+   * Get the aliases reserved for an origin
+   * 
+   * @param {string} domain - Target domain
+   * @param {object} options - Origin options (protocol, port)
+   * @returns {string[]} - Aliases of the origin
+   */
+  getAliasesForDomain(domain, options = {}) {
+    const originKey = getOriginKey(this._createTokenInfo({ domain, ...options }, 0));
+    
+    return Object.entries(this.getAllTokens())
+      .filter(([, info]) => info.kind === 'alias' && getOriginKey(info) === originKey)
+      .map(([token]) => token);
+  }
+  
+  /**
+   * Release an alias
+   * 
+   * @param {string} alias - Alias to remove
+   * @returns {boolean} - True if the alias existed
+   */
+  removeAlias(alias) {
+    alias = String(alias || '').trim().toLowerCase();
+    
+    const info = this.getTokenInfo(alias);
+    if (!info || info.kind !== 'alias') {
+      return false;
+    }
+    
+    delete this.tokens[alias];
+    this._persist(alias);
+    this.emit('removed', { token: alias, info });
+    
+    return true;
+  }
+  
+  /**
+   * Check an alias against DNS label rules
+   * 
+   * @param {string} alias - Alias to check
+   * @returns {string|null} - Error message or null if valid
+   * @private
+   */
+  _validateAlias(alias) {
+    if (!alias) {
+      return 'Alias is missing';
+    }
+    if (alias.length > 63) {
+      return 'Alias must be at most 63 characters long';
+    }
+    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(alias)) {
+      return 'Alias may only contain letters, digits and hyphens, and cannot start or end with a hyphen';
+    }
+    // Labels like "xn--..." are reserved for internationalized domain names
+    if (alias.slice(2, 4) === '--') {
+      return 'Alias cannot contain hyphens in the third and fourth positions';
+    }
+    if (`${alias}.${config.BASE_DOMAIN}`.length > 253) {
+      return 'Alias is too long for the base domain';
+    }
+    if (alias.startsWith(`${config.SIGNED_TOKENS.PREFIX}-`)) {
+      return `Aliases cannot start with "${config.SIGNED_TOKENS.PREFIX}-", which is reserved for signed tokens`;
+    }
+    if (config.RESERVED_TOKENS.includes(alias)) {
+      return `The alias "${alias}" is reserved`;
+    }
+    return null;
   }
   
   /**
@@ -312,53 +900,30 @@ class TokenStore {
     // Normalize token
     token = token.trim();
     
-    // Check if token exists in our store
-    if (!this.tokens[token]) {
-      // Check in-memory backup
-      if (this.backupTokens.has(token)) {
-        const backupInfo = this.backupTokens.get(token);
-        if (config.DEBUG) {
-          console.log(`Recovered token ${token} from backup (${backupInfo.source})`);
-        }
-        
-        // Restore from backup
-        this.tokens[token] = {
-          domain: backupInfo.domain,
-          protocol: backupInfo.protocol || config.DEFAULT_PROTOCOL,
-          timestamp: Date.now()
-        };
-        
-        this.domainMapping[backupInfo.domain] = token;
-        this.dirty = true;
-        
-        return this.tokens[token];
-      }
-      
-      // Reload from file - maybe another process created this token
-      if (Date.now() - this.lastLoad > 30000) { // 30 seconds
-        this._loadTokensFromFile();
+    // Check if token exists in our store (or was created by another process)
+    const info = this.getTokenInfo(token);
+    if (!info) {
+      if (config.DEBUG) {
+        console.log(`Token not found in store: ${token}`);
       }
-      
-      // Check again after reload
-      if (!this.tokens[token]) {
-        if (config.DEBUG) {
-          console.log(`Token not found in store or backup: ${token}`);
-        }
-        return null;
+      return null;
+    }
+    
+    // Expired, revoked and exhausted tokens no longer resolve
+    // (use getTokenStatus() to find out why)
+    if (this.getLifecycleStatus(info) !== 'active') {
+      if (config.DEBUG) {
+        console.log(`Token ${token} is ${this.getLifecycleStatus(info)}`);
       }
+      this._reportExpiry(token, info);
+      return null;
     }
     
     // Update last accessed timestamp
-    this.tokens[token].timestamp = Date.now();
-    this.dirty = true;
+    const accessed = this._update(token, () => ({ timestamp: Date.now() })) || info;
+    this.emit('accessed', { token, info: accessed });
     
-    // Update backup
-    this.backupTokens.set(token, {
-      ...this.tokens[token],
-      source: 'get_update'
-    });
-    
-    return this.tokens[token];
+    return accessed;
   }
   
   /**
@@ -386,7 +951,7 @@ class TokenStore {
         token += Date.now().toString(36).slice(-4);
         break;
       }
-    } while (token in this.tokens);
+    } while (token in this.tokens || this.storage.get(token));
     
     return token;
   }
@@ -400,61 +965,337 @@ class TokenStore {
     setInterval(() => {
       const now = Date.now();
       let count = 0;
-      let hasChanges = false;
       
-      for (const [token, info] of Object.entries(this.tokens)) {
-        if (now - info.timestamp > config.TOKEN_EXPIRATION_MS) {
-          delete this.domainMapping[info.domain];
+      // Shared storages are swept whole, other processes may have created
+      // tokens this one never loaded
+      for (const [token, info] of Object.entries(this.getAllTokens())) {
+        if (this._isRemovable(info, now)) {
+          const originKey = getOriginKey(info);
+          if (this.domainMapping[originKey] === token) {
+            delete this.domainMapping[originKey];
+          }
           delete this.tokens[token];
-          this.backupTokens.delete(token);
+          this.pendingUsage.delete(token);
+          this._persist(token);
           count++;
-          hasChanges = true;
+          
+          // Tokens still active when removed were deleted for inactivity,
+          // ended tokens have been reported when they ended (unless this
+          // happened while no process was running)
+          const status = this.getLifecycleStatus(info, now);
+          if (status === 'active') {
+            this.emit('expired', { token, info, reason: 'inactive' });
+          } else if (status !== 'revoked' && !info.expiryReportedAt) {
+            this.emit('expired', { token, info, reason: status });
+          }
         }
       }
       
-      if (hasChanges) {
+      if (count > 0) {
         console.log(`Cleaned ${count} expired tokens from database`);
-        this.save();
       }
     }, config.CLEANUP_INTERVAL_MS);
   }
   
+  /**
+   * Check whether the cleanup should delete a token
+   * 
+   * Tokens without their own lifecycle expire after TOKEN_EXPIRATION_MS of
+   * inactivity (aliases never do). Tokens with a lifecycle are kept for
+   * ENDED_TOKEN_RETENTION_MS after they stop working, so that visitors get
+   * an "expired" or "revoked" page rather than an unknown token error.
+   * 
+   * @param {object} info - Token information
+   * @param {number} now - Current time
+   * @returns {boolean} - True if the token can be deleted
+   * @private
+   */
+  _isRemovable(info, now) {
+    const status = this.getLifecycleStatus(info, now);
+    
+    if (status !== 'active') {
+      return now - this._getEndTime(info, now) > config.ENDED_TOKEN_RETENTION_MS;
+    }
+    
+    // Aliases are reserved until explicitly removed, and tokens with their
+    // own expiry only end through it
+    if (info.kind === 'alias' || info.ttl || info.expiresAt) {
+      return false;
+    }
+    
+    return now - info.timestamp > config.TOKEN_EXPIRATION_MS;
+  }
+  
+  /**
+   * Import tokens, e.g. from an export of another instance
+   * 
+   * In merge mode existing tokens are kept. An imported token that already
+   * exists for another origin, or a generated token for an origin that
+   * already has one in the domain mapping, is reported as a conflict and
+   * only wins it with `overwrite`. Tokens losing a domain conflict are still
+   * imported, they just don't become the origin's default token.
+   * In replace mode every token missing from the import is removed.
+   * 
+   * @param {object} tokens - Token information keyed by token
+   * @param {object} options - Import options
+   * @param {string} options.mode - 'merge' (default) or 'replace'
+   * @param {boolean} options.overwrite - Let imported tokens win conflicts
+   * @param {boolean} options.dryRun - Only compute the report
+   * @returns {object} - Import report
+   */
+  importTokens(tokens, options = {}) {
+    const mode = options.mode || 'merge';
+    if (mode !== 'merge' && mode !== 'replace') {
+      const error = new Error(`Unknown import mode "${mode}", use merge or replace`);
+      error.code = 'INVALID_IMPORT';
+      throw error;
+    }
+    
+    const overwrite = Boolean(options.overwrite);
+    const report = {
+      mode,
+      dryRun: Boolean(options.dryRun),
+      imported: 0,
+      unchanged: 0,
+      skipped: 0,
+      removed: 0,
+      conflicts: [],
+      errors: []
+    };
+    
+    // In replace mode the import starts from an empty database
+    const current = mode === 'replace' ? {} : this.tokens;
+    const mapping = mode === 'replace' ? {} : { ...this.domainMapping };
+    const accepted = {};
+    
+    for (const [token, entry] of Object.entries(tokens)) {
+      const validationError = this._validateImportedToken(token, entry);
+      if (validationError) {
+        report.errors.push({ token, error: validationError });
+        continue;
+      }
+      
+      let info;
+      try {
+        info = this._normalizeImportedToken(entry);
+      } catch (error) {
+        report.errors.push({ token, error: error.message });
+        continue;
+      }
+      const existing = current[token] || accepted[token] ||
+        (mode === 'merge' ? this.storage.get(token) : null);
+      
+      if (existing) {
+        if (getOriginKey(existing) !== getOriginKey(info)) {
+          report.conflicts.push({
+            type: 'token',
+            token,
+            existing: getTargetOrigin(existing),
+            imported: getTargetOrigin(info),
+            resolution: overwrite ? 'overwritten' : 'kept-existing'
+          });
+          if (!overwrite) {
+            report.skipped++;
+            continue;
+          }
+        } else if (!overwrite) {
+          report.unchanged++;
+          continue;
+        }
+      }
+      
+      // Generated tokens compete for the default token of their origin
+      if (!info.kind && !info.revoked) {
+        const originKey = getOriginKey(info);
+        const mappedToken = mapping[originKey];
+        
+        if (mappedToken && mappedToken !== token) {
+          report.conflicts.push({
+            type: 'domain',
+            token,
+            origin: getTargetOrigin(info),
+            existingToken: mappedToken,
+            resolution: overwrite ? 'remapped' : 'kept-existing-mapping'
+          });
+          if (overwrite) {
+            mapping[originKey] = token;
+          }
+        } else {
+          mapping[originKey] = token;
+        }
+      }
+      
+      accepted[token] = info;
+      report.imported++;
+    }
+    
+    const removedTokens = mode === 'replace'
+      ? Object.keys(this.tokens).filter(token => !accepted[token])
+      : [];
+    report.removed = removedTokens.length;
+    
+    if (report.dryRun) {
+      return report;
+    }
+    
+    for (const token of removedTokens) {
+      delete this.tokens[token];
+      this._persist(token);
+    }
+    
+    for (const [token, info] of Object.entries(accepted)) {
+      this.tokens[token] = info;
+      this._persist(token);
+    }
+    
+    this.domainMapping = mapping;
+    
+    console.log(`Imported ${report.imported} tokens (${mode} mode, ${report.conflicts.length} conflicts)`);
+    return report;
+  }
+  
+  /**
+   * Check an imported token and its information
+   * 
+   * @param {string} token - Imported token
+   * @param {object} info - Imported token information
+   * @returns {string|null} - Error message or null if valid
+   * @private
+   */
+  _validateImportedToken(token, info) {
+    if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(token) || token.length > 63) {
+      return 'Token must be a valid DNS label';
+    }
+    if (token.startsWith(`${config.SIGNED_TOKENS.PREFIX}-`)) {
+      return 'Signed tokens cannot be imported';
+    }
+    if (!info || typeof info !== 'object' || typeof info.domain !== 'string' || !info.domain) {
+      return 'Token information must include a domain';
+    }
+    
+    // Domains must read back unchanged from a URL, like those of new tokens
+    const origin = extractOriginFromUrl(`http://${info.domain}/`);
+    if (!origin || origin.domain !== info.domain.toLowerCase()) {
+      return `Invalid domain "${info.domain}"`;
+    }
+    if (info.protocol && !['http', 'https'].includes(String(info.protocol).toLowerCase())) {
+      return `Unsupported protocol "${info.protocol}"`;
+    }
+    if (info.port !== undefined && info.port !== null) {
+      const port = Number(info.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        return `Invalid port "${info.port}"`;
+      }
+    }
+    if (info.kind && !['alias', 'custom'].includes(info.kind)) {
+      return `Unknown token kind "${info.kind}"`;
+    }
+    if (info.kind) {
+      const aliasError = this._validateAlias(token);
+      if (aliasError) {
+        return aliasError;
+      }
+    } else if (config.RESERVED_TOKENS.includes(token)) {
+      return `The token "${token}" is reserved`;
+    }
+    if (info.timestamp !== undefined && info.timestamp !== null &&
+        (!Number.isFinite(info.timestamp) || info.timestamp <= 0)) {
+      return 'timestamp must be a timestamp in milliseconds';
+    }
+    if (info.stats !== undefined && info.stats !== null && !this._isValidStats(info.stats)) {
+      return 'Invalid usage statistics';
+    }
+    return null;
+  }
+  
+  /**
+   * Check the shape of imported usage statistics (see recordUsage)
+   * 
+   * @param {object} stats - Imported statistics
+   * @returns {boolean} - True if valid
+   * @private
+   */
+  _isValidStats(stats) {
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    
+    return typeof stats === 'object' &&
+      isCount(stats.requests) &&
+      isCount(stats.bytes) &&
+      Boolean(stats.statusCodes) && typeof stats.statusCodes === 'object' &&
+      Object.values(stats.statusCodes).every(isCount) &&
+      Array.isArray(stats.parentOrigins) &&
+      stats.parentOrigins.every(origin => typeof origin === 'string') &&
+      (stats.lastSeen === undefined || stats.lastSeen === null || Number.isFinite(stats.lastSeen));
+  }
+  
+  /**
+   * Build the information of an imported token with the checks applied to
+   * new tokens (see createToken): domain policy, path scope and lifecycle
+   * 
+   * @param {object} entry - Imported token information, checked by
+   *   _validateImportedToken()
+   * @returns {object} - Token information
+   * @throws {Error} - With code DOMAIN_NOT_ALLOWED, INVALID_SCOPE or
+   *   INVALID_LIFECYCLE
+   * @private
+   */
+  _normalizeImportedToken(entry) {
+    domainPolicy.assertAllowed(entry.domain);
+    
+    const lifecycle = this._normalizeLifecycle(entry, true);
+    const scope = this._normalizeScope(entry);
+    
+    return this._createTokenInfo({
+      domain: entry.domain,
+      protocol: entry.protocol,
+      port: entry.port,
+      kind: entry.kind,
+      ...lifecycle,
+      ...scope,
+      stats: entry.stats || null
+    }, entry.timestamp || Date.now());
+  }
+  
   /**
    * Get all tokens (for debugging/admin)
    * 
-   * @returns {object} - All token information
+   * @returns {object} - All token information, read from the storage when
+   *   it is shared
    */
   getAllTokens() {
-    return { ...this.tokens };
+    return this.storage && this.storage.shared ? this.storage.load() : { ...this.tokens };
   }
   
   /**
-   * Get token backup info (for debugging)
+   * Get storage backend info (for debugging)
    * 
-   * @returns {object} - Backup information
+   * @returns {object} - Storage information
    */
-  getBackupInfo() {
-    return {
-      size: this.backupTokens.size,
-      tokens: Array.from(this.backupTokens.entries()).map(([token, info]) => ({
-        token,
-        domain: info.domain,
-        source: info.source
-      }))
-    };
+  getStorageInfo() {
+    return this.storage ? this.storage.describe() : { backend: 'uninitialized' };
   }
   
   /**
-   * Force reload tokens from file
+   * Force reload tokens from storage
    * Useful for admin interfaces
    */
   forceReload() {
-    this._loadTokensFromFile();
+    this._loadTokens();
     return Object.keys(this.tokens).length;
   }
+  
+  /**
+   * Release the storage backend (e.g. before a command line tool exits)
+   */
+  close() {
+    if (this.storage) {
+      this.flushUsage();
+      this.storage.close();
+    }
+  }
 }
 
 // Export a singleton instance
 const tokenStore = new TokenStore();
 
-module.exports = { tokenStore };
\ No newline at end of file
+module.exports = { tokenStore };
@@ -0,0 +1,216 @@
+/**
+ * Token Transfer Module
+ * 
+ * Serializes the token database to JSON or CSV for export, and parses such
+ * exports back for import (see TokenStore.importTokens).
+ */
+
+/**
+ * Formats supported for export and import
+ */
+const TRANSFER_FORMATS = ['json', 'csv'];
+
+/**
+ * CSV columns, any other token field goes in the "metadata" JSON column
+ */
+const CSV_COLUMNS = ['token', 'domain', 'protocol', 'port', 'timestamp', 'kind'];
+
+/**
+ * Creates a transfer error with a code
+ * 
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code INVALID_IMPORT
+ */
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+/**
+ * Checks and normalizes a transfer format
+ * 
+ * @param {string} format - Requested format
+ * @returns {string} - 'json' or 'csv'
+ */
+function normalizeFormat(format) {
+  format = String(format || 'json').toLowerCase();
+  if (!TRANSFER_FORMATS.includes(format)) {
+    const error = new Error(`Unsupported format "${format}", use ${TRANSFER_FORMATS.join(' or ')}`);
+    error.code = 'INVALID_FORMAT';
+    throw error;
+  }
+  return format;
+}
+
+/**
+ * Escapes a CSV field
+ * 
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeCsvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV text into rows of fields (RFC 4180, quoted fields may contain
+ * commas, quotes and line breaks)
+ * 
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (inQuotes) {
+    throw importError('Unterminated quoted field in CSV');
+  }
+  
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Ignore blank lines
+  return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+/**
+ * Serializes tokens for export
+ * 
+ * @param {object} tokens - Token information keyed by token
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string} - Exported data
+ */
+function exportTokens(tokens, format = 'json') {
+  format = normalizeFormat(format);
+  
+  if (format === 'json') {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      count: Object.keys(tokens).length,
+      tokens
+    }, null, 2);
+  }
+  
+  const lines = [[...CSV_COLUMNS, 'metadata'].join(',')];
+  for (const [token, info] of Object.entries(tokens)) {
+    const metadata = {};
+    for (const [field, value] of Object.entries(info)) {
+      if (!CSV_COLUMNS.includes(field)) {
+        metadata[field] = value;
+      }
+    }
+    
+    const fields = [token, info.domain, info.protocol, info.port, info.timestamp, info.kind];
+    fields.push(Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : '');
+    lines.push(fields.map(escapeCsvField).join(','));
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses exported data back into token information
+ * 
+ * JSON input may be a full export or a plain `{ token: info }` object.
+ * 
+ * @param {string} data - Exported data
+ * @param {string} format - 'json' or 'csv'
+ * @returns {object} - Token information keyed by token
+ */
+function parseTokens(data, format = 'json') {
+  format = normalizeFormat(format);
+  
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw importError(`Invalid JSON: ${error.message}`);
+    }
+    
+    const tokens = parsed && parsed.tokens ? parsed.tokens : parsed;
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      throw importError('Expected an object of tokens');
+    }
+    return tokens;
+  }
+  
+  const [header, ...rows] = parseCsv(data);
+  if (!header || !header.includes('token') || !header.includes('domain')) {
+    throw importError('CSV must start with a header row including "token" and "domain"');
+  }
+  
+  const tokens = {};
+  rows.forEach((fields, index) => {
+    const row = {};
+    header.forEach((column, i) => {
+      row[column.trim()] = fields[i] !== undefined ? fields[i] : '';
+    });
+    
+    let info = {};
+    if (row.metadata) {
+      try {
+        info = JSON.parse(row.metadata);
+      } catch (error) {
+        throw importError(`Invalid metadata on CSV row ${index + 2}`);
+      }
+    }
+    
+    info.domain = row.domain;
+    if (row.protocol) info.protocol = row.protocol;
+    if (row.port) info.port = parseInt(row.port, 10);
+    if (row.timestamp) info.timestamp = parseInt(row.timestamp, 10);
+    if (row.kind) info.kind = row.kind;
+    
+    tokens[row.token] = info;
+  });
+  
+  return tokens;
+}
+
+module.exports = {
+  TRANSFER_FORMATS,
+  exportTokens,
+  parseTokens
+};
@@ -6,6 +6,12 @@
 
 const config = require('../config');
 
+/**
+ * Host names that can be proxied: the characters of DNS names (the URL
+ * parser punycodes internationalized names), or IPv6 literals
+ */
+const HOST_PATTERN = /^[a-z0-9_.-]+$|^\[[0-9a-f:.]+\]$/;
+
 /**
  * Renders an error page with consistent styling
  * 
@@ -45,14 +51,91 @@ function renderErrorPage(title, message, details = '') {
  * @returns {string|null} - Extracted domain or null if invalid
  */
 function extractDomainFromUrl(url) {
+  const origin = extractOriginFromUrl(url);
+  return origin ? origin.domain : null;
+}
+
+/**
+ * Extracts the target origin (scheme, host and port) from URL
+ * 
+ * Only http and https URLs can be proxied, on hosts made of the characters
+ * of DNS names. The port is null when it is the default port for the
+ * scheme.
+ * 
+ * @param {string} url - URL to extract origin from
+ * @returns {object|null} - { protocol, domain, port } or null if invalid
+ */
+function extractOriginFromUrl(url) {
   try {
     const urlObj = new URL(url);
-    return urlObj.hostname;
+    const protocol = urlObj.protocol.replace(/:$/, '');
+    
+    const domain = urlObj.hostname.toLowerCase();
+    
+    if ((protocol !== 'http' && protocol !== 'https') || !HOST_PATTERN.test(domain)) {
+      return null;
+    }
+    
+    return {
+      protocol,
+      domain,
+      port: urlObj.port ? parseInt(urlObj.port, 10) : null
+    };
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Returns the host (domain and non-default port) of a target
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @returns {string} - Host, e.g. "example.com" or "intranet.local:8080"
+ */
+function getTargetHost(targetInfo) {
+  return targetInfo.port ? `${targetInfo.domain}:${targetInfo.port}` : targetInfo.domain;
+}
+
+/**
+ * Returns the origin URL of a target
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @returns {string} - Origin, e.g. "http://intranet.local:8080"
+ */
+function getTargetOrigin(targetInfo) {
+  return `${targetInfo.protocol || config.DEFAULT_PROTOCOL}://${getTargetHost(targetInfo)}`;
+}
+
+/**
+ * Returns the key identifying a target origin in the domain mapping
+ * 
+ * Targets using the default protocol on its default port are keyed on the
+ * bare domain, so that tokens created before origins were supported keep
+ * their mapping.
+ * 
+ * @param {object} targetInfo - Target domain information
+ * @returns {string} - Origin key
+ */
+function getOriginKey(targetInfo) {
+  const protocol = targetInfo.protocol || config.DEFAULT_PROTOCOL;
+  if (protocol === config.DEFAULT_PROTOCOL && !targetInfo.port) {
+    return targetInfo.domain;
+  }
+  return `${protocol}://${getTargetHost(targetInfo)}`;
+}
+
+/**
+ * Checks whether a parsed URL points at the target host (or its www. variant)
+ * 
+ * @param {URL} urlObj - Parsed URL
+ * @param {object} targetInfo - Target domain information
+ * @returns {boolean} - True if the URL is on the target host
+ */
+function isTargetUrl(urlObj, targetInfo) {
+  const targetHost = getTargetHost(targetInfo);
+  return urlObj.host === targetHost || urlObj.host === `www.${targetHost}`;
+}
+
 /**
  * Gets path and query from URL
  * 
@@ -85,19 +168,50 @@ function buildProxyUrl(token, pathAndQuery = '') {
 }
 
 /**
- * Check if a URL is an external URL relative to a given domain
+ * Normalizes a token path prefix so it always starts with a slash and has
+ * no dot segments
+ * 
+ * @param {string} pathPrefix - Path prefix to normalize
+ * @returns {string} - Normalized path prefix
+ */
+function normalizePathPrefix(pathPrefix) {
+  return new URL(pathPrefix, 'http://localhost/').pathname;
+}
+
+/**
+ * Checks whether a path is within a token's path scope
+ * 
+ * Prefixes match whole path segments: a token scoped to /docs accepts
+ * /docs and /docs/intro but not /docs-private. A prefix ending with a slash
+ * also matches the same path without it, so a token scoped to /docs/
+ * accepts /docs as well.
+ * 
+ * @param {string} pathname - Normalized request path
+ * @param {string} pathPrefix - Path prefix of the token, if any
+ * @returns {boolean} - True if the path is allowed for the token
+ */
+function isPathInScope(pathname, pathPrefix) {
+  if (!pathPrefix) {
+    return true;
+  }
+  
+  const base = pathPrefix.endsWith('/') ? pathPrefix.slice(0, -1) : pathPrefix;
+  return pathname === base || pathname.startsWith(`${base}/`);
+}
+
+/**
+ * Check if a URL is an external URL relative to a given target
  * 
  * @param {string} url - URL to check
- * @param {string} domain - Domain to compare against
+ * @param {object} targetInfo - Target domain information
  * @returns {boolean} - True if external, false otherwise
  */
-function isExternalUrl(url, domain) {
+function isExternalUrl(url, targetInfo) {
   try {
     // Check if it's an absolute URL
     if (url.startsWith('http://') || url.startsWith('https://')) {
-      const urlObj = new URL(url);
-      // Check if domain matches
-      return urlObj.hostname !== domain && urlObj.hostname !== `www.${domain}`;
+      // Check if host matches
+      return !isTargetUrl(new URL(url), targetInfo);
     }
     
     // Relative URLs are not external
@@ -130,11 +244,46 @@ function normalizeUrl(url, defaultProtocol = 'https') {
   return `${defaultProtocol}://${url}`;
 }
 
+/**
+ * Hop-by-hop headers that must not be copied from the upstream response
+ */
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Copies status and headers of the upstream response to the client response
+ * 
+ * @param {object} proxyRes - Upstream response
+ * @param {object} res - Client response
+ * @param {string[]} omit - Additional headers to leave out
+ */
+function copyResponseHead(proxyRes, res, omit = []) {
+  res.statusCode = proxyRes.statusCode;
+  if (proxyRes.statusMessage) {
+    res.statusMessage = proxyRes.statusMessage;
+  }
+  
+  for (const [name, value] of Object.entries(proxyRes.headers)) {
+    if (value === undefined || HOP_BY_HOP_HEADERS.includes(name) || omit.includes(name)) {
+      continue;
+    }
+    res.setHeader(name, value);
+  }
+}
+
 module.exports = {
   renderErrorPage,
   extractDomainFromUrl,
+  extractOriginFromUrl,
+  getTargetHost,
+  getTargetOrigin,
+  getOriginKey,
   getPathAndQueryFromUrl,
   buildProxyUrl,
+  isTargetUrl,
   isExternalUrl,
-  normalizeUrl
+  normalizePathPrefix,
+  isPathInScope,
+  normalizeUrl,
+  copyResponseHead,
+  HOP_BY_HOP_HEADERS
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Webhooks Module
+ * 
+ * Forwards token lifecycle events to the configured webhook URLs as signed
+ * JSON POST requests, retrying failed deliveries.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getTargetOrigin } = require('./utils');
+const config = require('../config');
+
+/**
+ * Token store events that can be forwarded
+ */
+const WEBHOOK_EVENTS = ['created', 'accessed', 'expired', 'revoked', 'removed', 'reloaded'];
+
+/**
+ * Computes the signature header value of a payload
+ * 
+ * The delivery timestamp is signed along with the body, so that receivers
+ * can refuse old deliveries replayed by someone who captured them.
+ * 
+ * @param {string} body - Serialized payload
+ * @param {number} timestamp - Delivery time in seconds (X-ProxyWarp-Timestamp)
+ * @returns {string|null} - "sha256=<hex digest>" or null without a secret
+ */
+function signPayload(body, timestamp) {
+  if (!config.WEBHOOKS.SECRET) {
+    return null;
+  }
+  
+  const digest = crypto.createHmac('sha256', config.WEBHOOKS.SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Builds the payload sent for a token store event
+ * 
+ * @param {string} event - Event name
+ * @param {object} data - Event data emitted by the token store
+ * @returns {object} - Webhook payload
+ */
+function buildPayload(event, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    timestamp: new Date().toISOString()
+  };
+  
+  if (data.token) {
+    payload.token = data.token;
+    payload.origin = getTargetOrigin(data.info);
+    payload.kind = data.info.kind || 'generated';
+  }
+  
+  if (data.reason) {
+    payload.reason = data.reason;
+  }
+  
+  if (data.count !== undefined) {
+    payload.count = data.count;
+  }
+  
+  return payload;
+}
+
+/**
+ * Sends a payload once
+ * 
+ * @param {string} url - Webhook URL
+ * @param {object} payload - Webhook payload
+ * @returns {Promise<number>} - Response status code
+ */
+function sendWebhook(url, payload) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'ProxyWarp-Webhooks',
+      'X-ProxyWarp-Event': payload.event,
+      'X-ProxyWarp-Delivery': payload.id,
+      'X-ProxyWarp-Timestamp': String(timestamp)
+    };
+    
+    const signature = signPayload(body, timestamp);
+    if (signature) {
+      headers['X-ProxyWarp-Signature'] = signature;
+    }
+    
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers,
+      timeout: config.WEBHOOKS.TIMEOUT
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timed out after ${config.WEBHOOKS.TIMEOUT}ms`));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Delivers a payload, retrying on network errors, 429 and 5xx responses
+ * 
+ * @param {string} url - Webhook URL
+ * @param {object} payload - Webhook payload
+ * @param {number} attempt - Current attempt (0 for the first one)
+ * @returns {Promise<boolean>} - True if the webhook accepted the payload
+ */
+async function deliverWebhook(url, payload, attempt = 0) {
+  let failure;
+  
+  try {
+    const statusCode = await sendWebhook(url, payload);
+    if (statusCode >= 200 && statusCode < 300) {
+      if (config.DEBUG) {
+        console.log(`Delivered ${payload.event} webhook ${payload.id} to ${url}`);
+      }
+      return true;
+    }
+    
+    failure = `HTTP ${statusCode}`;
+    if (statusCode !== 429 && statusCode < 500) {
+      console.error(`Webhook ${payload.id} rejected by ${url}: ${failure}`);
+      return false;
+    }
+  } catch (error) {
+    failure = error.message;
+  }
+  
+  if (attempt >= config.WEBHOOKS.MAX_RETRIES) {
+    console.error(`Giving up on webhook ${payload.id} to ${url} after ${attempt + 1} attempts: ${failure}`);
+    return false;
+  }
+  
+  const delay = config.WEBHOOKS.RETRY_DELAY * Math.pow(2, attempt);
+  if (config.DEBUG) {
+    console.log(`Webhook ${payload.id} to ${url} failed (${failure}), retrying in ${delay}ms`);
+  }
+  
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return deliverWebhook(url, payload, attempt + 1);
+}
+
+/**
+ * Subscribes the configured webhooks to token store events
+ * 
+ * @param {object} tokenStore - Token store emitting lifecycle events
+ * @returns {boolean} - True if webhooks are enabled
+ */
+function setupWebhooks(tokenStore) {
+  const urls = config.WEBHOOKS.URLS;
+  if (urls.length === 0) {
+    return false;
+  }
+  
+  const events = config.WEBHOOKS.EVENTS.filter(event => WEBHOOK_EVENTS.includes(event));
+  
+  for (const event of events) {
+    tokenStore.on(event, (data) => {
+      const payload = buildPayload(event, data);
+      for (const url of urls) {
+        deliverWebhook(url, payload);
+      }
+    });
+  }
+  
+  console.log(`Webhooks enabled for ${events.join(', ')} events (${urls.length} URL${urls.length > 1 ? 's' : ''})`);
+  return true;
+}
+
+module.exports = {
+  setupWebhooks,
+  deliverWebhook,
+  signPayload
+};
@@ -0,0 +1,412 @@
+/**
+ * Management API Routes
+ * 
+ * Authenticated endpoints for managing tokens and the sites that may be
+ * proxied. All routes require the configured API key (see lib/auth.js) and
+ * are rate limited per client IP and per key (see lib/rateLimiter.js).
+ */
+
+const express = require('express');
+const { tokenStore } = require('../lib/tokenStore');
+const { requireApiKey, getApiKeyId } = require('../lib/auth');
+const { rateLimiter, getClientIp } = require('../lib/rateLimiter');
+const { createSignedToken, MAX_EXPIRES_AT } = require('../lib/signedTokens');
+const { createEmbedLink } = require('../lib/embedLinks');
+const { domainPolicy } = require('../lib/domainPolicy');
+const { exportTokens, parseTokens } = require('../lib/tokenTransfer');
+const { extractOriginFromUrl, getTargetOrigin, getPathAndQueryFromUrl, buildProxyUrl } = require('../lib/utils');
+const config = require('../config');
+
+/**
+ * HTTP status codes for token store errors
+ */
+const ERROR_STATUS = {
+  INVALID_ALIAS: 400,
+  INVALID_LIFECYCLE: 400,
+  INVALID_SCOPE: 400,
+  INVALID_IMPORT: 400,
+  INVALID_FORMAT: 400,
+  TARGET_TOO_LONG: 400,
+  INVALID_PATTERN: 400,
+  INVALID_LIST: 400,
+  INVALID_PARENT_ORIGIN: 400,
+  DOMAIN_NOT_ALLOWED: 403,
+  SIGNED_TOKENS_DISABLED: 501,
+  TOKEN_EXISTS: 409
+};
+
+/**
+ * Sends a token store error as JSON
+ * 
+ * @param {object} res - Express response
+ * @param {Error} error - Error to send
+ */
+function sendError(res, error) {
+  const status = ERROR_STATUS[error.code] || 500;
+  if (status === 500) {
+    console.error('API error:', error);
+  }
+  res.status(status).json({ error: error.message, code: error.code });
+}
+
+/**
+ * Picks the lifecycle and scope options of a token from a request body
+ * 
+ * @param {object} body - Request body
+ * @returns {object} - Token options (ttl, expiresAt, maxRequests, pathPrefix)
+ */
+function getTokenOptions(body) {
+  return {
+    ttl: body.ttl,
+    expiresAt: body.expiresAt,
+    maxRequests: body.maxRequests,
+    pathPrefix: body.pathPrefix
+  };
+}
+
+/**
+ * Gets the expiry of a signed token or embed link from a request body
+ * 
+ * @param {object} body - Request body ({ ttl } or { expiresAt })
+ * @param {string} name - What expires, for error messages
+ * @returns {number} - Expiry timestamp in milliseconds
+ * @throws {Error} - With code INVALID_LIFECYCLE if the expiry is invalid,
+ *   past or later than signed tokens can hold
+ */
+function getSignedExpiry(body, name) {
+  let expiresAt = Date.now() + config.SIGNED_TOKENS.DEFAULT_TTL_MS;
+  if (body.expiresAt !== undefined) {
+    expiresAt = typeof body.expiresAt === 'number' ? body.expiresAt : Date.parse(body.expiresAt);
+  } else if (body.ttl !== undefined) {
+    expiresAt = Date.now() + Number(body.ttl);
+  }
+  
+  let message = null;
+  if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+    message = `The ${name} must expire in the future`;
+  } else if (expiresAt > MAX_EXPIRES_AT) {
+    message = `The ${name} must expire before ${new Date(MAX_EXPIRES_AT).toISOString()}`;
+  }
+  
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_LIFECYCLE';
+    throw error;
+  }
+  return expiresAt;
+}
+
+/**
+ * Describes a token for API responses
+ * 
+ * @param {string} token - Token
+ * @param {object} info - Token information
+ * @returns {object} - Token description
+ */
+function describeToken(token, info) {
+  return {
+    token,
+    status: tokenStore.getLifecycleStatus(info),
+    origin: getTargetOrigin(info),
+    proxy: buildProxyUrl(token, info.pathPrefix || ''),
+    kind: info.kind || 'generated',
+    pathPrefix: info.pathPrefix || null,
+    ttl: info.ttl || null,
+    expiresAt: info.expiresAt ? new Date(info.expiresAt).toISOString() : null,
+    maxRequests: info.maxRequests || null,
+    requestCount: info.requestCount || 0,
+    revokedAt: info.revokedAt ? new Date(info.revokedAt).toISOString() : null,
+    lastAccess: new Date(info.timestamp).toISOString()
+  };
+}
+
+/**
+ * Describes the usage statistics of a token for API responses
+ * 
+ * @param {string} token - Token
+ * @param {object} info - Token information
+ * @returns {object} - Usage statistics
+ */
+function describeStats(token, info) {
+  const stats = info.stats || {};
+  return {
+    token,
+    origin: getTargetOrigin(info),
+    requests: stats.requests || 0,
+    bytes: stats.bytes || 0,
+    statusCodes: stats.statusCodes || {},
+    parentOrigins: stats.parentOrigins || [],
+    lastSeen: stats.lastSeen ? new Date(stats.lastSeen).toISOString() : null
+  };
+}
+
+/**
+ * Setup management API routes
+ * 
+ * @param {object} app - Express application
+ */
+function setupApiRoutes(app) {
+  const router = express.Router();
+  
+  // Throttle each client before checking its key, so that keys cannot be
+  // guessed at full speed
+  router.use(rateLimiter.limit(req => [{ bucket: 'API', key: `ip:${getClientIp(req)}` }]));
+  
+  router.use(requireApiKey);
+  
+  // Throttle each API key, with a separate budget for minting tokens
+  router.use(rateLimiter.limit(req => [{ bucket: 'API', key: `key:${getApiKeyId(req)}` }]));
+  const limitMinting = rateLimiter.limit(req => [{ bucket: 'MINT', key: `key:${getApiKeyId(req)}` }]);
+  
+  // Import tokens from a JSON or CSV export (the raw body is parsed by
+  // lib/tokenTransfer, so this route comes before the JSON parser)
+  router.post('/import', express.text({ type: '*/*', limit: '50mb' }), (req, res) => {
+    const contentType = req.headers['content-type'] || '';
+    const format = req.query.format || (contentType.includes('csv') ? 'csv' : 'json');
+    
+    try {
+      const tokens = parseTokens(typeof req.body === 'string' ? req.body : '', format);
+      const report = tokenStore.importTokens(tokens, {
+        mode: req.query.mode,
+        overwrite: req.query.overwrite === 'true',
+        dryRun: req.query.dryRun === 'true'
+      });
+      
+      res.json(report);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  router.use(express.json());
+  
+  // Export all tokens as JSON or CSV
+  router.get('/export', (req, res) => {
+    try {
+      const format = (req.query.format || 'json').toLowerCase();
+      tokenStore.flushUsage();
+      const data = exportTokens(tokenStore.getAllTokens(), format);
+      const date = new Date().toISOString().slice(0, 10);
+      
+      res.type(format === 'csv' ? 'text/csv' : 'application/json');
+      res.attachment(`proxywarp-tokens-${date}.${format}`);
+      res.send(data);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Reserve a named alias for an origin
+  router.post('/aliases', limitMinting, (req, res) => {
+    const { alias, url } = req.body || {};
+    
+    const origin = extractOriginFromUrl(url);
+    if (!origin) {
+      return res.status(400).json({ error: 'A valid http(s) url is required' });
+    }
+    
+    try {
+      const name = tokenStore.createAlias(alias, origin.domain, {
+        ...origin,
+        ...getTokenOptions(req.body)
+      });
+      
+      res.status(201).json({
+        alias: name,
+        origin: getTargetOrigin(origin),
+        proxy: buildProxyUrl(name, tokenStore.tokens[name].pathPrefix || ''),
+        token: tokenStore.findTokenForDomain(origin.domain, origin),
+        aliases: tokenStore.getAliasesForDomain(origin.domain, origin)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // List the aliases of an origin
+  router.get('/aliases', (req, res) => {
+    const origin = extractOriginFromUrl(req.query.url);
+    if (!origin) {
+      return res.status(400).json({ error: 'A valid http(s) url parameter is required' });
+    }
+    
+    res.json({
+      origin: getTargetOrigin(origin),
+      token: tokenStore.findTokenForDomain(origin.domain, origin),
+      aliases: tokenStore.getAliasesForDomain(origin.domain, origin)
+    });
+  });
+  
+  // Release an alias
+  router.delete('/aliases/:alias', (req, res) => {
+    if (!tokenStore.removeAlias(req.params.alias)) {
+      return res.status(404).json({ error: 'Unknown alias', alias: req.params.alias });
+    }
+    
+    res.json({ success: true, alias: req.params.alias });
+  });
+  
+  // Mint a dedicated token with its own expiry, usage limit or both
+  router.post('/tokens', limitMinting, (req, res) => {
+    const body = req.body || {};
+    
+    const origin = extractOriginFromUrl(body.url);
+    if (!origin) {
+      return res.status(400).json({ error: 'A valid http(s) url is required' });
+    }
+    
+    try {
+      const token = tokenStore.createToken(origin.domain, {
+        ...origin,
+        ...getTokenOptions(body)
+      });
+      
+      res.status(201).json(describeToken(token, tokenStore.tokens[token]));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Mint a stateless signed token
+  router.post('/signed-tokens', limitMinting, (req, res) => {
+    const body = req.body || {};
+    
+    const origin = extractOriginFromUrl(body.url);
+    if (!origin) {
+      return res.status(400).json({ error: 'A valid http(s) url is required' });
+    }
+    
+    try {
+      const expiresAt = getSignedExpiry(body, 'token');
+      const token = createSignedToken(origin, expiresAt);
+      
+      res.status(201).json({
+        token,
+        origin: getTargetOrigin(origin),
+        proxy: buildProxyUrl(token),
+        expiresAt: new Date(Math.floor(expiresAt / 1000) * 1000).toISOString()
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Mint an embed link, which only the given parent origins may frame
+  router.post('/embeds', limitMinting, (req, res) => {
+    const body = req.body || {};
+    
+    const origin = extractOriginFromUrl(body.url);
+    if (!origin) {
+      return res.status(400).json({ error: 'A valid http(s) url is required' });
+    }
+    
+    try {
+      const expiresAt = getSignedExpiry(body, 'embed link');
+      const embed = createEmbedLink(origin, getPathAndQueryFromUrl(body.url), body.parentOrigins, expiresAt);
+      
+      res.status(201).json({
+        token: embed.token,
+        origin: getTargetOrigin(origin),
+        embed: embed.url,
+        parentOrigins: embed.parentOrigins,
+        expiresAt: new Date(Math.floor(expiresAt / 1000) * 1000).toISOString()
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Inspect a token
+  router.get('/tokens/:token', (req, res) => {
+    const token = req.params.token;
+    const info = tokenStore.getTokenInfo(token);
+    
+    if (!info) {
+      return res.status(404).json({ error: 'Unknown token', token });
+    }
+    
+    res.json(describeToken(token, info));
+  });
+  
+  // Usage statistics of a token
+  router.get('/tokens/:token/stats', (req, res) => {
+    const token = req.params.token;
+    tokenStore.flushUsage();
+    const info = tokenStore.getTokenInfo(token);
+    
+    if (!info) {
+      return res.status(404).json({ error: 'Unknown token', token });
+    }
+    
+    res.json(describeStats(token, info));
+  });
+  
+  // Usage statistics of all tokens, most used first
+  router.get('/stats', (req, res) => {
+    const limit = Math.max(parseInt(req.query.limit, 10) || 100, 1);
+    
+    tokenStore.flushUsage();
+    const tokens = Object.entries(tokenStore.getAllTokens())
+      .map(([token, info]) => describeStats(token, info))
+      .sort((a, b) => b.requests - a.requests);
+    
+    res.json({
+      totalTokens: tokens.length,
+      usedTokens: tokens.filter(stats => stats.requests > 0).length,
+      totalRequests: tokens.reduce((sum, stats) => sum + stats.requests, 0),
+      totalBytes: tokens.reduce((sum, stats) => sum + stats.bytes, 0),
+      tokens: tokens.slice(0, limit)
+    });
+  });
+  
+  // Revoke a token
+  router.post('/tokens/:token/revoke', (req, res) => {
+    const token = req.params.token;
+    
+    if (!tokenStore.revokeToken(token)) {
+      return res.status(404).json({ error: 'Unknown token', token });
+    }
+    
+    res.json(describeToken(token, tokenStore.tokens[token]));
+  });
+  
+  // Allowed and denied domain patterns
+  router.get('/domains', (req, res) => {
+    res.json(domainPolicy.getLists());
+  });
+  
+  // Replace the allow list, the deny list or both
+  router.put('/domains', (req, res) => {
+    try {
+      res.json(domainPolicy.setLists(req.body || {}));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Add a pattern to the allow or deny list
+  router.post('/domains/:list', (req, res) => {
+    try {
+      res.status(201).json(domainPolicy.addPattern(req.params.list, (req.body || {}).pattern));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Remove a pattern from the allow or deny list
+  router.delete('/domains/:list', (req, res) => {
+    try {
+      if (!domainPolicy.removePattern(req.params.list, req.query.pattern)) {
+        return res.status(404).json({ error: 'Unknown pattern', pattern: req.query.pattern });
+      }
+      
+      res.json(domainPolicy.getLists());
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  app.use('/api', router);
+}
+
+module.exports = { setupApiRoutes };
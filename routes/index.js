@@ -6,9 +6,96 @@
 
 const fs = require('fs');
 const { tokenStore } = require('../lib/tokenStore');
-const { renderErrorPage, extractDomainFromUrl, getPathAndQueryFromUrl, buildProxyUrl } = require('../lib/utils');
+const { httpCache } = require('../lib/httpCache');
+const { domainPolicy } = require('../lib/domainPolicy');
+const { renderErrorPage, extractOriginFromUrl, getTargetOrigin, getPathAndQueryFromUrl, buildProxyUrl } = require('../lib/utils');
 const config = require('../config');
 const homeTemplate = require('./templates/home');
+const { setupApiRoutes } = require('./api');
+const { createSignedToken, canSignTarget, isSignedToken, verifySignedToken } = require('../lib/signedTokens');
+const { isThirdPartyProxied, getOriginToken } = require('../lib/linkRewriter');
+const { rateLimiter, getClientIp } = require('../lib/rateLimiter');
+
+/**
+ * Checks whether a request asks for a signed token
+ * 
+ * @param {object} query - Request query parameters
+ * @returns {boolean} - True for `signed=true` or `signed=1`
+ */
+function isSignedRequest(query) {
+  return query.signed === 'true' || query.signed === '1';
+}
+
+/**
+ * Gets a token for an origin
+ * 
+ * Mints a stateless signed token when the request asks for one with
+ * `signed=true`, and a stored short token otherwise.
+ * 
+ * @param {object} origin - Target origin ({ protocol, domain, port })
+ * @param {object} query - Request query parameters
+ * @returns {string} - The token
+ */
+function getTokenForRequest(origin, query) {
+  if (isSignedRequest(query)) {
+    return createSignedToken(origin, Date.now() + config.SIGNED_TOKENS.DEFAULT_TTL_MS);
+  }
+  return tokenStore.getTokenForDomain(origin.domain, origin);
+}
+
+/**
+ * Gets the target information of the token of a proxied page
+ * 
+ * @param {string} pageToken - Signed or stored token
+ * @returns {object|null} - Target information, null if the token is
+ *   invalid or no longer active
+ */
+function getPageTargetInfo(pageToken) {
+  if (isSignedToken(pageToken)) {
+    const { status, info } = verifySignedToken(pageToken);
+    return status === 'active' ? info : null;
+  }
+  return tokenStore.getDomainInfoFromToken(pageToken);
+}
+
+/**
+ * Checks whether a conversion will add a stored token to the database:
+ * signed tokens are stateless, and origins that already have a token get it
+ * back
+ * 
+ * @param {object} req - Express request of the homepage or /convert
+ * @returns {boolean} - True if a new stored token will be created
+ */
+function createsStoredToken(req) {
+  const origin = extractOriginFromUrl(String(req.query.url || ''));
+  if (!origin || tokenStore.findTokenForDomain(origin.domain, origin)) {
+    return false;
+  }
+  
+  // Third-party URLs of proxied pages, sent by the client script
+  if (req.query.from) {
+    return isThirdPartyProxied(origin.domain) && !(isSignedToken(String(req.query.from)) && canSignTarget(origin));
+  }
+  
+  return !isSignedRequest(req.query);
+}
+
+/**
+ * Gets the token minting budget of a request, shared by conversions through
+ * the homepage and /convert
+ * 
+ * Only conversions creating a stored token are charged, the budget protects
+ * the token database.
+ * 
+ * @param {object} req - Express request
+ * @returns {object[]} - Rate limits (see rateLimiter.consume)
+ */
+function getMintLimits(req) {
+  if (!createsStoredToken(req)) {
+    return [];
+  }
+  return [{ bucket: 'MINT', key: `ip:${getClientIp(req)}` }];
+}
 
 /**
  * Setup all application routes
@@ -16,20 +103,60 @@ const homeTemplate = require('./templates/home');
  * @param {object} app - Express application
  */
 function setupRoutes(app) {
+  // Third-party URLs of proxied pages, sent by the client script with any
+  // method. They get a token of their own (signed if the page's token is
+  // signed), and a 307 keeps the method and body of the requests of the page
+  app.all('/', rateLimiter.limit(req => req.query.from ? getMintLimits(req) : [], 'html'), (req, res, next) => {
+    const url = req.query.url;
+    if (!url || !req.query.from) {
+      return next();
+    }
+    
+    const pageToken = String(req.query.from);
+    const origin = extractOriginFromUrl(String(url));
+    const pageInfo = origin && getPageTargetInfo(pageToken);
+    if (!pageInfo) {
+      return res.status(400).send(renderErrorPage('Invalid URL',
+        'The provided URL is invalid or does not come from an active proxied page.'));
+    }
+    if (!isThirdPartyProxied(origin.domain)) {
+      return res.status(403).send(renderErrorPage('Domain Not Allowed',
+        'This ProxyWarp instance does not proxy the requested third-party site.'));
+    }
+    
+    try {
+      // New stored tokens are charged to the minting budget (see
+      // getMintLimits), embed-only pages cannot get one
+      const token = getOriginToken(origin, pageToken, pageInfo) ||
+        (pageInfo.embedOnly ? null : tokenStore.getTokenForDomain(origin.domain, origin));
+      if (!token) {
+        return res.status(403).send(renderErrorPage('Domain Not Allowed',
+          'Embedded pages cannot proxy this third-party site.'));
+      }
+      return res.redirect(307, buildProxyUrl(token, getPathAndQueryFromUrl(String(url))));
+    } catch (error) {
+      console.error('Third-party URL redirection error:', error.message);
+      return res.status(500).send(renderErrorPage('Redirection Error',
+        'The requested site could not be proxied.',
+        error.message));
+    }
+  });
+  
   // Home page route
-  app.get('/', (req, res) => {
+  app.get('/', rateLimiter.limit(getMintLimits, 'html'), (req, res) => {
     // URL redirection feature
     const url = req.query.url;
+    
     if (url) {
       try {
         // Parse and validate URL
-        const domain = extractDomainFromUrl(url);
-        if (!domain) {
+        const origin = extractOriginFromUrl(url);
+        if (!origin) {
           throw new Error('Invalid URL');
         }
         
-        // Get or create token for domain
-        const token = tokenStore.getTokenForDomain(domain);
+        // Get or create token for the origin
+        const token = getTokenForRequest(origin, req.query);
         
         // Get path and query from URL
         const pathAndQuery = getPathAndQueryFromUrl(url);
@@ -46,6 +173,16 @@ function setupRoutes(app) {
         if (config.DEBUG) {
           console.error('URL redirection error:', error);
         }
+        if (error.code === 'DOMAIN_NOT_ALLOWED') {
+          return res.status(403).send(renderErrorPage('Domain Not Allowed',
+            'This ProxyWarp instance is not allowed to proxy the requested site.',
+            error.message));
+        }
+        if (error.code === 'SIGNED_TOKENS_DISABLED') {
+          return res.status(501).send(renderErrorPage('Signed Tokens Disabled',
+            'This ProxyWarp instance cannot mint signed tokens.',
+            error.message));
+        }
         return res.status(400).send(renderErrorPage('Invalid URL', 
           'The provided URL is invalid or could not be parsed.',
           error.message));
@@ -53,7 +190,7 @@ function setupRoutes(app) {
     }
     
     // Normal homepage rendering
-    const exampleDomains = ['google.com', 'github.com', 'example.com'];
+    const exampleDomains = ['google.com', 'github.com', 'example.com'].filter(domain => domainPolicy.isAllowed(domain));
     const examples = exampleDomains.map(domain => ({
       domain,
       token: tokenStore.getTokenForDomain(domain),
@@ -63,7 +200,7 @@ function setupRoutes(app) {
   });
   
   // URL conversion API
-  app.get('/convert', (req, res) => {
+  app.get('/convert', rateLimiter.limit(getMintLimits), (req, res) => {
     const url = req.query.url;
     
     if (!url) {
@@ -72,13 +209,13 @@ function setupRoutes(app) {
     
     try {
       // Parse and validate URL
-      const domain = extractDomainFromUrl(url);
-      if (!domain) {
+      const origin = extractOriginFromUrl(url);
+      if (!origin) {
         throw new Error('Invalid URL');
       }
       
-      // Get or create token for domain
-      const token = tokenStore.getTokenForDomain(domain);
+      // Get or create token for the origin
+      const token = getTokenForRequest(origin, req.query);
       
       // Get path and query from URL
       const pathAndQuery = getPathAndQueryFromUrl(url);
@@ -89,11 +226,18 @@ function setupRoutes(app) {
       // Return data
       return res.json({
         original: url,
-        domain,
+        domain: origin.domain,
+        origin: getTargetOrigin(origin),
         token,
         proxy: proxyUrl
       });
     } catch (error) {
+      if (error.code === 'DOMAIN_NOT_ALLOWED') {
+        return res.status(403).json({ error: error.message, code: error.code });
+      }
+      if (error.code === 'SIGNED_TOKENS_DISABLED') {
+        return res.status(501).json({ error: error.message, code: error.code });
+      }
       return res.status(400).json({ error: `Invalid URL: ${error.message}` });
     }
   });
@@ -106,12 +250,15 @@ function setupRoutes(app) {
     if (info) {
       res.json({
         token: token,
+        status: tokenStore.getTokenStatus(token),
         targetInfo: info,
         proxyUrl: buildProxyUrl(token)
       });
     } else {
-      res.status(404).json({
-        error: 'Unknown token',
+      const status = tokenStore.getTokenStatus(token);
+      res.status(status === 'unknown' ? 404 : 410).json({
+        error: status === 'unknown' ? 'Unknown token' : `Token is ${status}`,
+        status,
         token: token
       });
     }
@@ -127,16 +274,17 @@ function setupRoutes(app) {
           port: config.PORT,
           baseDomain: config.BASE_DOMAIN,
           debug: config.DEBUG,
-          dbFile: config.DB_FILE
+          dbFile: config.DB_FILE,
+          storageBackend: config.STORAGE.BACKEND
         },
         tokenStore: {
           totalTokens: Object.keys(tokenStore.tokens).length,
           domainMappings: Object.keys(tokenStore.domainMapping).length,
           lastSave: tokenStore.lastSave ? new Date(tokenStore.lastSave).toISOString() : null,
           lastLoad: tokenStore.lastLoad ? new Date(tokenStore.lastLoad).toISOString() : null,
-          dirty: tokenStore.dirty
+          storage: tokenStore.getStorageInfo()
         },
-        backupInfo: tokenStore.getBackupInfo ? tokenStore.getBackupInfo() : { size: 'N/A' },
+        httpCache: httpCache.getStats(),
         environment: {
           nodeEnv: process.env.NODE_ENV,
           platform: process.platform,
@@ -406,6 +554,9 @@ function setupRoutes(app) {
     });
   }
   
+  // Management API
+  setupApiRoutes(app);
+  
   // Fallback for other routes
   app.use((req, res) => {
     res.status(404).send(renderErrorPage('Page Not Found',
@@ -8,12 +8,19 @@
 const express = require('express');
 const cors = require('cors');
 const { tokenStore } = require('./lib/tokenStore');
-const { setupProxyHandler } = require('./lib/proxyHandler');
+const { httpCache } = require('./lib/httpCache');
+const { headerPolicy } = require('./lib/headerPolicy');
+const { domainPolicy } = require('./lib/domainPolicy');
+const { setupProxyHandler, setupWebSocketProxy } = require('./lib/proxyHandler');
+const { setupWebhooks } = require('./lib/webhooks');
 const { setupRoutes } = require('./routes');
 const config = require('./config');
 
 // Initialize Express app
 const app = express();
+
+// Take the client address from X-Forwarded-For behind reverse proxies
+app.set('trust proxy', config.TRUST_PROXY);
 app.use(cors());
 
 // Track active connections
@@ -49,9 +56,22 @@ setInterval(() => {
   }
 }, 10000); // Check every 10 seconds
 
+// Forward token lifecycle events to webhooks (before loading, so that
+// the initial load is reported too)
+setupWebhooks(tokenStore);
+
 // Initialize token store
 tokenStore.initialize();
 
+// Load the HTTP cache of proxied assets, if enabled
+httpCache.initialize();
+
+// Load the header rules file, if any
+headerPolicy.initialize();
+
+// Load the domain lists saved through the management API, if any
+domainPolicy.initialize();
+
 // Setup proxy handler middleware (must be before routes)
 setupProxyHandler(app);
 
@@ -67,7 +87,7 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server
-app.listen(config.PORT, () => {
+const server = app.listen(config.PORT, () => {
   console.log(`
 ======================================================
  ProxyWarp - Token-Based Proxy
@@ -81,4 +101,7 @@ app.listen(config.PORT, () => {
  - Redirection URL: http://${config.BASE_DOMAIN}/?url=https://example.com
 ======================================================
 `);
-});
\ No newline at end of file
+});
+
+// Proxy WebSocket upgrades on token subdomains
+setupWebSocketProxy(server);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { generateClientScript } = require('../lib/clientScript');
+
+/**
+ * Gets the code of the script element generated for a token
+ */
+function getScriptCode(options) {
+  const html = generateClientScript('abc123', 'proxywarp.test', 'example.com', options);
+  const match = html.match(/<script[^>]*>([\s\S]*)<\/script>/);
+  assert.ok(match, 'the script element is complete');
+  return match[1];
+}
+
+test('path prefixes with quotes cannot break out of their string', () => {
+  const pathPrefix = "/docs/';alert(1);'";
+  const code = getScriptCode({ pathPrefix });
+
+  assert.doesNotThrow(() => new vm.Script(code));
+
+  const literal = code.match(/const PATH_PREFIX = (.*);/)[1];
+  assert.strictEqual(JSON.parse(literal), pathPrefix);
+});
+
+test('path prefixes cannot close the script element', () => {
+  const html = generateClientScript('abc123', 'proxywarp.test', 'example.com', {
+    pathPrefix: '/docs/</script><script>alert(1)</script>'
+  });
+
+  assert.strictEqual(html.match(/<\/script/gi).length, 1);
+  assert.doesNotThrow(() => new vm.Script(getScriptCode({ pathPrefix: '/a</script>' })));
+});
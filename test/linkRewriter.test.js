@@ -0,0 +1,92 @@
+process.env.SIGNED_TOKEN_SECRET = 'test-secret';
+process.env.BASE_DOMAIN = 'proxywarp.test';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { tokenStore } = require('../lib/tokenStore');
+const { MemoryStorage } = require('../lib/storage/memoryStorage');
+const { createSignedToken, verifySignedToken } = require('../lib/signedTokens');
+const { rewriteRedirectLocation } = require('../lib/linkRewriter');
+
+// Stored tokens live in memory, without the timers of initialize()
+tokenStore.storage = new MemoryStorage();
+
+const LONG_HOST = `${'a'.repeat(60)}.example.org`;
+
+/**
+ * Gets a signed token for example.com and its target information
+ */
+function signExampleCom() {
+  const token = createSignedToken({ protocol: 'https', domain: 'example.com', port: null }, Date.now() + 60000);
+  return { token, targetInfo: verifySignedToken(token).info };
+}
+
+/**
+ * Gets the token of a proxy URL
+ */
+function getProxyToken(url) {
+  const { hostname } = new URL(url);
+  assert.ok(hostname.endsWith(`.${config.BASE_DOMAIN}`), `${url} is a proxy URL`);
+  return hostname.slice(0, -config.BASE_DOMAIN.length - 1);
+}
+
+/**
+ * Gets the URL converted by a conversion URL of the proxy's home page
+ */
+function getConvertedUrl(url) {
+  const urlObj = new URL(url);
+  assert.strictEqual(urlObj.hostname, config.BASE_DOMAIN, `${url} is a conversion URL`);
+  return urlObj.searchParams.get('url');
+}
+
+test('redirects of signed tokens to hosts too long to sign are converted without creating a token', () => {
+  const { token, targetInfo } = signExampleCom();
+
+  const location = rewriteRedirectLocation(`https://${LONG_HOST}/login?next=1`, targetInfo, token, '/');
+
+  assert.strictEqual(getConvertedUrl(location), `https://${LONG_HOST}/login?next=1`);
+  assert.strictEqual(tokenStore.findTokenForDomain(LONG_HOST, { protocol: 'https' }), null);
+});
+
+test('redirects of signed tokens to hosts too long to sign reuse their stored token', () => {
+  const { token, targetInfo } = signExampleCom();
+  const storedToken = tokenStore.getTokenForDomain(LONG_HOST, { protocol: 'https' });
+
+  const location = rewriteRedirectLocation(`https://${LONG_HOST}/login?next=1`, targetInfo, token, '/');
+
+  assert.strictEqual(getProxyToken(location), storedToken);
+  assert.ok(location.endsWith('/login?next=1'));
+});
+
+test('redirects of signed tokens are converted once signed tokens are disabled', (t) => {
+  const { token, targetInfo } = signExampleCom();
+  const secret = config.SIGNED_TOKENS.SECRET;
+  config.SIGNED_TOKENS.SECRET = null;
+  t.after(() => {
+    config.SIGNED_TOKENS.SECRET = secret;
+  });
+
+  const location = rewriteRedirectLocation('https://www.example.com/', targetInfo, token, '/');
+
+  assert.strictEqual(getConvertedUrl(location), 'https://www.example.com/');
+});
+
+test('redirects of signed tokens to short hosts stay signed', () => {
+  const { token, targetInfo } = signExampleCom();
+
+  const location = rewriteRedirectLocation('https://www.example.com/', targetInfo, token, '/');
+
+  assert.strictEqual(verifySignedToken(getProxyToken(location)).info.domain, 'www.example.com');
+});
+
+test('redirects of embed-only tokens stay embed-only', () => {
+  const token = createSignedToken({ protocol: 'https', domain: 'example.com', port: null }, Date.now() + 60000, { embedOnly: true });
+  const targetInfo = verifySignedToken(token).info;
+
+  const location = rewriteRedirectLocation('https://www.example.com/', targetInfo, token, '/');
+  assert.strictEqual(verifySignedToken(getProxyToken(location)).info.embedOnly, true);
+
+  const longLocation = rewriteRedirectLocation(`https://${LONG_HOST}/`, targetInfo, token, '/');
+  assert.strictEqual(longLocation, `https://${LONG_HOST}/`);
+});
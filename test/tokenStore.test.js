@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenStore } = require('../lib/tokenStore');
+const { MemoryStorage } = require('../lib/storage/memoryStorage');
+
+// Stored tokens live in memory, without the timers of initialize()
+tokenStore.storage = new MemoryStorage();
+
+test('imported domains must be host names', () => {
+  const report = tokenStore.importTokens({
+    quoted: { domain: "example.com';alert(1);'", protocol: 'https' },
+    pathed: { domain: 'example.com/admin', protocol: 'https' },
+    valid: { domain: 'Example.com', protocol: 'https' }
+  });
+
+  assert.deepStrictEqual(report.errors.map(({ token }) => token), ['quoted', 'pathed']);
+  assert.strictEqual(tokenStore.getTokenInfo('valid').domain, 'example.com');
+});
+
+test('imported aliases follow the alias rules', () => {
+  const report = tokenStore.importTokens({
+    www: { domain: 'example.com', protocol: 'https', kind: 'alias' },
+    api: { domain: 'example.com', protocol: 'https' },
+    docs: { domain: 'example.com', protocol: 'https', kind: 'alias' }
+  });
+
+  assert.deepStrictEqual(report.errors.map(({ token }) => token), ['www', 'api']);
+  assert.strictEqual(report.imported, 1);
+});
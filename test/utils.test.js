@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPathInScope } = require('../lib/utils');
+
+test('path scopes match whole path segments', () => {
+  assert.ok(isPathInScope('/docs', '/docs'));
+  assert.ok(isPathInScope('/docs/intro', '/docs'));
+  assert.ok(!isPathInScope('/docs-private', '/docs'));
+  assert.ok(!isPathInScope('/docsanything', '/docs'));
+});
+
+test('path scopes ending with a slash also match the path without it', () => {
+  assert.ok(isPathInScope('/docs', '/docs/'));
+  assert.ok(isPathInScope('/docs/intro', '/docs/'));
+  assert.ok(!isPathInScope('/docs-private/', '/docs/'));
+  assert.ok(isPathInScope('/anything', '/'));
+});
@@ -0,0 +1,119 @@
+/**
+ * ProxyWarp Token Database Tool
+ * 
+ * Exports and imports the token database of the configured storage backend
+ * (same environment variables as the server).
+ * 
+ * Usage:
+ *   node tokens.js export [--format json|csv] [--output FILE]
+ *   node tokens.js import FILE [--format json|csv] [--mode merge|replace] [--overwrite] [--dry-run]
+ * 
+ * A running server using the json backend picks up imported tokens on its
+ * next periodic reload. Use POST /api/import to update a running instance
+ * immediately.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenStore } = require('./lib/tokenStore');
+const { exportTokens, parseTokens } = require('./lib/tokenTransfer');
+
+const USAGE = `Usage:
+  node tokens.js export [--format json|csv] [--output FILE]
+  node tokens.js import FILE [--format json|csv] [--mode merge|replace] [--overwrite] [--dry-run]`;
+
+/**
+ * Parses command line arguments
+ * 
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} - Command, positional arguments and options
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const args = [];
+  const options = {};
+  
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--overwrite' || arg === '--dry-run') {
+      options[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = rest[++i];
+    } else {
+      args.push(arg);
+    }
+  }
+  
+  return { command, args, options };
+}
+
+/**
+ * Guesses the format of a file from its extension
+ * 
+ * @param {string} file - File name
+ * @returns {string} - 'csv' or 'json'
+ */
+function formatFromFile(file) {
+  return path.extname(file || '').toLowerCase() === '.csv' ? 'csv' : 'json';
+}
+
+/**
+ * Runs the requested command
+ * 
+ * @returns {number} - Exit code
+ */
+function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  
+  if (command !== 'export' && command !== 'import') {
+    console.error(USAGE);
+    return 1;
+  }
+  
+  if (command === 'import' && !args[0]) {
+    console.error('Missing file to import\n');
+    console.error(USAGE);
+    return 1;
+  }
+  
+  // Keep stdout for exported data
+  console.log = console.error;
+  tokenStore.initialize();
+  
+  try {
+    if (command === 'export') {
+      const format = options.format || formatFromFile(options.output);
+      const data = exportTokens(tokenStore.getAllTokens(), format);
+      
+      if (options.output) {
+        fs.writeFileSync(options.output, data, 'utf8');
+        console.error(`Exported ${Object.keys(tokenStore.tokens).length} tokens to ${options.output}`);
+      } else {
+        process.stdout.write(data);
+      }
+    } else {
+      const file = args[0];
+      const format = options.format || formatFromFile(file);
+      const tokens = parseTokens(fs.readFileSync(file, 'utf8'), format);
+      
+      const report = tokenStore.importTokens(tokens, {
+        mode: options.mode,
+        overwrite: options.overwrite,
+        dryRun: options['dry-run']
+      });
+      
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    tokenStore.close();
+  }
+  
+  return 0;
+}
+
+// Exit once stdout is drained (the token store keeps timers running)
+const exitCode = main();
+process.stdout.write('', () => process.exit(exitCode));